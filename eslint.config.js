@@ -27,4 +27,10 @@ export default defineConfig([
       'no-unused-vars': 'off',
     },
   },
+  {
+    files: ['server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
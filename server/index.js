@@ -0,0 +1,253 @@
+import { createServer } from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createFileStore, createGistStore, serializeWrites } from './stores.js';
+
+// Servidor del campamento: guarda los datos (con las credenciales solo aquí) y sirve la app compilada.
+//
+// Variables de entorno:
+//   PORT          puerto (3001)
+//   STORE         "gist" o "file" (por defecto "gist" si hay GITHUB_TOKEN)
+//   GITHUB_TOKEN  token con permiso de gists
+//   GIST_ID       Gist donde se guarda team-assignments.json
+//   DATA_FILE     archivo JSON del almacén local (server/data/camp-data.json)
+//   DIST_DIR      carpeta de la app compilada (dist)
+//   ADMIN_PIN_HASH  SHA-256 (hex) de la clave de administrador; la misma que VITE_ADMIN_PIN_HASH.
+//                   Sin ella el servidor solo permite leer (guardar responde 503)
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+
+const PORT = Number(process.env.PORT) || 3001;
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+const GIST_ID = process.env.GIST_ID || 'b30794fa9e8b8f0aee0f63c2a3558022';
+const STORE = process.env.STORE || (GITHUB_TOKEN ? 'gist' : 'file');
+const DATA_FILE = resolve(process.env.DATA_FILE || join(ROOT, 'server', 'data', 'camp-data.json'));
+const DIST_DIR = resolve(process.env.DIST_DIR || join(ROOT, 'dist'));
+
+// Sin un hash válido no hay clave por defecto: nadie puede guardar
+const ADMIN_PIN_HASH = /^[0-9a-f]{64}$/i.test(process.env.ADMIN_PIN_HASH || '')
+  ? process.env.ADMIN_PIN_HASH.toLowerCase()
+  : null;
+
+// Campos que se pueden leer y actualizar por separado, con la forma que debe tener su valor
+const FIELDS = {
+  assignments: 'object',
+  attendance: 'object',
+  staff: 'array'
+};
+
+// Tamaño máximo del cuerpo de un pedido
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+const createStore = () => {
+  if (STORE === 'gist') {
+    if (!GITHUB_TOKEN) throw new Error('STORE=gist necesita GITHUB_TOKEN');
+    return createGistStore({ gistId: GIST_ID, token: GITHUB_TOKEN });
+  }
+  return createFileStore(DATA_FILE);
+};
+
+const store = serializeWrites(createStore());
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolveBody, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Pedido demasiado grande'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      reject(Object.assign(new Error('JSON no válido'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Indica si el valor tiene la forma esperada ('object' o 'array')
+ */
+const hasShape = (value, shape) => (shape === 'array' ? Array.isArray(value) : isPlainObject(value));
+
+/**
+ * Indica si el pedido trae la clave de administrador (Authorization: Bearer <clave>). Se
+ * compara su SHA-256, igual que en la app
+ */
+const isAdminRequest = (req) => {
+  if (!ADMIN_PIN_HASH) return false;
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/);
+  if (!match) return false;
+  const hash = createHash('sha256').update(match[1].trim()).digest();
+  const expected = Buffer.from(ADMIN_PIN_HASH, 'hex');
+  return hash.length === expected.length && timingSafeEqual(hash, expected);
+};
+
+/**
+ * Guarda con control de versión; si otro guardó antes responde 409 con los datos actuales
+ */
+const writeWithVersion = async (res, data, baseVersion) => {
+  if (!Number.isInteger(baseVersion)) {
+    sendJson(res, 400, { error: 'Falta baseVersion' });
+    return;
+  }
+  try {
+    sendJson(res, 200, await store.write(data, baseVersion));
+  } catch (err) {
+    if (!err.conflict) throw err;
+    sendJson(res, 409, err.current);
+  }
+};
+
+/**
+ * API de datos del campamento. Leer es libre (la búsqueda pública lo necesita); guardar
+ * exige la clave de administrador y sin ella responde 401 (503 si el servidor no tiene
+ * ADMIN_PIN_HASH).
+ * GET  /api/camp-data          → { version, data }
+ * PUT  /api/camp-data          { baseVersion, data } → { version } | 409 { version, data }
+ * GET  /api/camp-data/:campo   → { version, value }   (assignments, attendance o staff)
+ * PUT  /api/camp-data/:campo   { baseVersion, value } → { version } | 409 { version, data }
+ */
+const handleApi = async (req, res, pathname) => {
+  if (pathname === '/api/health') {
+    sendJson(res, 200, { ok: true, store: store.name });
+    return;
+  }
+
+  const match = pathname.match(/^\/api\/camp-data(?:\/([a-zA-Z]+))?\/?$/);
+  if (!match) {
+    sendJson(res, 404, { error: 'No encontrado' });
+    return;
+  }
+
+  const field = match[1];
+  if (field && !Object.hasOwn(FIELDS, field)) {
+    sendJson(res, 404, { error: `Campo desconocido: ${field}` });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const { version, data } = await store.read();
+    sendJson(res, 200, field ? { version, value: data?.[field] ?? null } : { version, data });
+    return;
+  }
+
+  if (req.method === 'PUT') {
+    if (!ADMIN_PIN_HASH) {
+      sendJson(res, 503, { error: 'El servidor no tiene ADMIN_PIN_HASH; solo se puede leer' });
+      return;
+    }
+    if (!isAdminRequest(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Falta la clave de administrador' });
+      return;
+    }
+
+    const body = await readJsonBody(req);
+    if (!isPlainObject(body)) {
+      sendJson(res, 400, { error: 'El cuerpo debe ser un objeto JSON' });
+      return;
+    }
+    if (!field) {
+      if (!isPlainObject(body.data)) {
+        sendJson(res, 400, { error: 'data debe ser un objeto' });
+        return;
+      }
+      await writeWithVersion(res, body.data, body.baseVersion);
+      return;
+    }
+
+    if (!hasShape(body.value, FIELDS[field])) {
+      sendJson(res, 400, { error: `value debe ser ${FIELDS[field] === 'array' ? 'una lista' : 'un objeto'}` });
+      return;
+    }
+    const { data } = await store.read();
+    await writeWithVersion(res, { ...(data || {}), [field]: body.value }, body.baseVersion);
+    return;
+  }
+
+  res.writeHead(405, { 'Allow': 'GET, PUT' });
+  res.end();
+};
+
+/**
+ * Archivos de la app compilada; las rutas que no son archivos devuelven index.html
+ */
+const serveStatic = async (res, pathname) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Dirección no válida');
+    return;
+  }
+
+  const filePath = resolve(join(DIST_DIR, decoded));
+  const insideDist = filePath === DIST_DIR || filePath.startsWith(DIST_DIR + sep);
+
+  try {
+    if (!insideDist || !extname(filePath)) throw Object.assign(new Error(), { code: 'ENOENT' });
+    const content = await readFile(filePath);
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' });
+    res.end(content);
+  } catch (err) {
+    if (err.code !== 'ENOENT' && err.code !== 'EISDIR') throw err;
+    try {
+      const index = await readFile(join(DIST_DIR, 'index.html'));
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-cache' });
+      res.end(index);
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Falta compilar la app (npm run build)');
+    }
+  }
+};
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  try {
+    if (pathname.startsWith('/api/')) {
+      await handleApi(req, res, pathname);
+    } else {
+      await serveStatic(res, pathname);
+    }
+  } catch (err) {
+    console.error(`${req.method} ${pathname}:`, err);
+    if (!res.headersSent) sendJson(res, err.status || 500, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Servidor del campamento en http://localhost:${PORT} (datos: ${store.name})`);
+  if (!ADMIN_PIN_HASH) {
+    console.warn('Aviso: falta ADMIN_PIN_HASH (SHA-256 en hexadecimal); nadie podrá guardar hasta definirla');
+  }
+});
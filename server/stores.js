@@ -0,0 +1,111 @@
+import { readFile, writeFile, mkdir, rename } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Almacenes de los datos del campamento del lado del servidor. Cada uno guarda
+// { version, data } y rechaza un guardado si la versión cambió mientras tanto
+
+// Nombre del archivo dentro del Gist
+const GIST_FILE = 'team-assignments.json';
+
+/**
+ * Error de guardado porque otro dispositivo guardó antes
+ */
+export const conflictError = (current) =>
+  Object.assign(new Error('La versión cambió'), { conflict: true, current });
+
+/**
+ * Separa la versión del resto de los datos
+ */
+const splitVersion = (parsed) => {
+  if (!parsed) return { version: 0, data: null };
+  const { version = 0, ...data } = parsed;
+  return { version, data };
+};
+
+/**
+ * Almacén en un archivo JSON local (para probar sin GitHub)
+ */
+export const createFileStore = (filePath) => {
+  const read = async () => {
+    try {
+      return splitVersion(JSON.parse(await readFile(filePath, 'utf8')));
+    } catch (err) {
+      if (err.code === 'ENOENT') return { version: 0, data: null };
+      throw err;
+    }
+  };
+
+  return {
+    name: `archivo ${filePath}`,
+    read,
+    write: async (data, baseVersion) => {
+      const current = await read();
+      if (current.version !== baseVersion) throw conflictError(current);
+
+      const version = baseVersion + 1;
+      await mkdir(dirname(filePath), { recursive: true });
+      // Escribir en un temporal y renombrar, para no dejar el archivo a medias
+      const tmpPath = `${filePath}.tmp`;
+      await writeFile(tmpPath, JSON.stringify({ ...data, version }, null, 2));
+      await rename(tmpPath, filePath);
+      return { version };
+    }
+  };
+};
+
+/**
+ * Almacén en un GitHub Gist; el token queda solo en el servidor
+ */
+export const createGistStore = ({ gistId, token }) => {
+  const headers = {
+    'Authorization': `token ${token}`,
+    'Accept': 'application/vnd.github+json'
+  };
+
+  const read = async () => {
+    const response = await fetch(`https://api.github.com/gists/${gistId}`, { headers });
+    if (!response.ok) throw new Error(`No se pudo leer el Gist (${response.status})`);
+    const gist = await response.json();
+    const content = gist.files[GIST_FILE]?.content;
+    return splitVersion(content ? JSON.parse(content) : null);
+  };
+
+  return {
+    name: `Gist ${gistId}`,
+    read,
+    write: async (data, baseVersion) => {
+      const current = await read();
+      if (current.version !== baseVersion) throw conflictError(current);
+
+      const version = baseVersion + 1;
+      const response = await fetch(`https://api.github.com/gists/${gistId}`, {
+        method: 'PATCH',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          description: 'Asignaciones de equipos, asistencia, staff y configuración para el campamento',
+          files: {
+            [GIST_FILE]: { content: JSON.stringify({ ...data, version }, null, 2) }
+          }
+        })
+      });
+      if (!response.ok) throw new Error(`No se pudo guardar en el Gist (${response.status})`);
+      return { version };
+    }
+  };
+};
+
+/**
+ * Hace que los guardados se ejecuten de a uno (la comprobación de versión y la escritura
+ * no se pueden intercalar entre dos pedidos)
+ */
+export const serializeWrites = (store) => {
+  let queue = Promise.resolve();
+  return {
+    ...store,
+    write: (data, baseVersion) => {
+      const result = queue.then(() => store.write(data, baseVersion));
+      queue = result.catch(() => {});
+      return result;
+    }
+  };
+};
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { X, LockOpen } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { verifyPin, MAX_PIN_ATTEMPTS, PIN_LOCKOUT_MS } from '../utils/adminAuth';
+
+/**
+ * Ingreso al modo administrador con PIN o frase
+ */
+export default function AdminUnlock({ onUnlock, onClose }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [attempts, setAttempts] = useState(0);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [checking, setChecking] = useState(false);
+
+  const submit = async () => {
+    if (!pin.trim() || checking) return;
+    if (Date.now() < lockedUntil) {
+      setError('Demasiados intentos. Espera unos segundos.');
+      return;
+    }
+
+    setChecking(true);
+    const ok = await verifyPin(pin);
+    setChecking(false);
+
+    if (ok) {
+      onUnlock(pin);
+      return;
+    }
+
+    const failed = attempts + 1;
+    setPin('');
+    if (failed >= MAX_PIN_ATTEMPTS) {
+      setAttempts(0);
+      setLockedUntil(Date.now() + PIN_LOCKOUT_MS);
+      setError(`Clave incorrecta. Espera ${PIN_LOCKOUT_MS / 1000} segundos antes de intentar de nuevo.`);
+    } else {
+      setAttempts(failed);
+      setError('Clave incorrecta.');
+    }
+  };
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Modo administrador</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+      <div className={styles.inputGroup}>
+        <input
+          type="password"
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && submit()}
+          placeholder="PIN o frase de administrador"
+          autoComplete="current-password"
+          autoFocus
+        />
+        <button type="button" onClick={submit} disabled={checking || !pin.trim()}>
+          <LockOpen size={14} /> Entrar
+        </button>
+      </div>
+      {error && <p className={styles.settingsError}>{error}</p>}
+    </div>
+  );
+}
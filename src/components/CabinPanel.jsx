@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, Save, Wand2, RotateCcw, Printer, Lock, AlertTriangle } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import {
+  CABIN_GENDERS,
+  createCabin,
+  getCabinConflict,
+  countCabinOccupancy,
+  describeCabin,
+  printCabinList
+} from '../utils/cabins';
+
+/**
+ * Cabañas: definir capacidad y reglas, asignar automáticamente, mover a mano e imprimir
+ * la lista
+ *
+ * @param {Array<{ key, name, team, gender, age }>} people - participantes
+ */
+export default function CabinPanel({
+  cabins,
+  people,
+  assignments,
+  locked,
+  colors,
+  onSaveCabins,
+  onAllocate,
+  onMove,
+  onUnlock
+}) {
+  const [editing, setEditing] = useState(cabins.length === 0);
+  const [draft, setDraft] = useState(cabins);
+  const [error, setError] = useState('');
+
+  const occupancy = countCabinOccupancy(assignments, cabins);
+  const byCabin = Object.fromEntries(cabins.map(c => [c.id, []]));
+  const unplaced = [];
+  [...people]
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .forEach(person => {
+      const cabinId = assignments[person.key];
+      if (byCabin[cabinId]) byCabin[cabinId].push(person);
+      else unplaced.push(person);
+    });
+
+  const updateDraft = (id, changes) => {
+    setDraft(prev => prev.map(c => (c.id === id ? { ...c, ...changes } : c)));
+  };
+
+  const saveDraft = () => {
+    const names = draft.map(c => c.name.trim().toLowerCase());
+    if (names.some(n => !n)) {
+      setError('Todas las cabañas necesitan nombre.');
+      return;
+    }
+    if (new Set(names).size !== names.length) {
+      setError('Hay cabañas con el mismo nombre.');
+      return;
+    }
+    if (draft.some(c => c.minAge && c.maxAge && Number(c.minAge) > Number(c.maxAge))) {
+      setError('La edad mínima no puede ser mayor que la máxima.');
+      return;
+    }
+    setError('');
+    onSaveCabins(draft);
+    setEditing(false);
+  };
+
+  const unplacedReason = (person) => {
+    const options = cabins.filter(c => !getCabinConflict(c, person));
+    if (options.length === 0) return 'ninguna cabaña acepta su género o edad';
+    if (options.every(c => occupancy[c.id] >= c.capacity)) return 'no quedan lugares en las cabañas posibles';
+    return 'sin asignar todavía';
+  };
+
+  const moveSelect = (person) => (
+    <select
+      className={styles.moveSelect}
+      value=""
+      onChange={(e) => onMove(person.key, e.target.value)}
+      title="Mover a otra cabaña"
+    >
+      <option value="">Mover a…</option>
+      {cabins.filter(c => c.id !== assignments[person.key]).map(c => (
+        <option key={c.id} value={c.id}>
+          {c.name} ({occupancy[c.id]}/{c.capacity})
+        </option>
+      ))}
+      {assignments[person.key] && <option value="none">Sin cabaña</option>}
+    </select>
+  );
+
+  return (
+    <>
+      <div className={styles.adminToolbar}>
+        <button type="button" onClick={() => { setDraft(cabins); setEditing(v => !v); }}>
+          <Pencil size={14} /> Editar cabañas
+        </button>
+        <button type="button" onClick={() => onAllocate(false)} disabled={cabins.length === 0}>
+          <Wand2 size={14} /> Asignar a quienes faltan
+        </button>
+        <button
+          type="button"
+          onClick={() => window.confirm('Se volverá a repartir a todos, excepto a quienes se movió a mano. ¿Continuar?') && onAllocate(true)}
+          disabled={cabins.length === 0}
+        >
+          <RotateCcw size={14} /> Repartir de nuevo
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            if (!printCabinList(cabins, byCabin)) window.alert('Permite las ventanas emergentes para imprimir.');
+          }}
+          disabled={cabins.length === 0}
+        >
+          <Printer size={14} /> Imprimir lista
+        </button>
+      </div>
+
+      {editing && (
+        <div className={styles.settingsPanel}>
+          <div className={styles.settingsHeader}>
+            <h3>Cabañas</h3>
+          </div>
+          {draft.length === 0 && <p className={styles.settingsHint}>Todavía no hay cabañas.</p>}
+          {draft.map(cabin => (
+            <div key={cabin.id} className={styles.cabinRow}>
+              <input
+                type="text"
+                value={cabin.name}
+                onChange={(e) => updateDraft(cabin.id, { name: e.target.value })}
+                placeholder="Nombre o número"
+              />
+              <label>
+                Capacidad
+                <input
+                  type="number"
+                  min="0"
+                  value={cabin.capacity}
+                  onChange={(e) => updateDraft(cabin.id, { capacity: e.target.value })}
+                />
+              </label>
+              <select value={cabin.gender} onChange={(e) => updateDraft(cabin.id, { gender: e.target.value })}>
+                {Object.entries(CABIN_GENDERS).map(([id, label]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              <label>
+                Edad
+                <input
+                  type="number"
+                  min="0"
+                  value={cabin.minAge ?? ''}
+                  onChange={(e) => updateDraft(cabin.id, { minAge: e.target.value })}
+                  placeholder="mín."
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={cabin.maxAge ?? ''}
+                  onChange={(e) => updateDraft(cabin.id, { maxAge: e.target.value })}
+                  placeholder="máx."
+                />
+              </label>
+              <button
+                type="button"
+                className={styles.iconBtn}
+                onClick={() => setDraft(prev => prev.filter(c => c.id !== cabin.id))}
+                title="Eliminar cabaña"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+          {error && <p className={styles.settingsError}>{error}</p>}
+          <div className={styles.settingsActions}>
+            <button type="button" onClick={() => setDraft(prev => [...prev, createCabin(String(prev.length + 1))])}>
+              <Plus size={14} /> Agregar cabaña
+            </button>
+            <button type="button" onClick={saveDraft}>
+              <Save size={14} /> Guardar
+            </button>
+          </div>
+        </div>
+      )}
+
+      {unplaced.length > 0 && cabins.length > 0 && (
+        <div className={styles.violationsBanner}>
+          <AlertTriangle size={16} />
+          <div>
+            <strong>{unplaced.length === 1 ? '1 persona sin cabaña' : `${unplaced.length} personas sin cabaña`}</strong>
+            <ul>
+              {unplaced.map(person => (
+                <li key={person.key}>
+                  {person.name} ({person.team}): {unplacedReason(person)} {moveSelect(person)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      <div className={styles.teamsGrid}>
+        {cabins.map(cabin => (
+          <div key={cabin.id} className={styles.teamCard} style={{ backgroundColor: '#f8fafc' }}>
+            <div className={styles.teamHeader} style={{ backgroundColor: '#1e4155' }}>
+              <h3 className={styles.teamTitle}>Cabaña {cabin.name}</h3>
+              <span
+                className={styles.teamCount}
+                style={occupancy[cabin.id] > cabin.capacity ? { backgroundColor: '#ef4444' } : undefined}
+              >
+                {occupancy[cabin.id]}/{cabin.capacity}
+              </span>
+            </div>
+            <p className={styles.settingsHint} style={{ margin: '0.4rem 0.6rem 0' }}>{describeCabin(cabin)}</p>
+            <div className={styles.participantsList}>
+              {byCabin[cabin.id].length === 0 ? (
+                <div className={styles.noParticipants}>Sin participantes</div>
+              ) : (
+                byCabin[cabin.id].map(person => {
+                  const conflict = getCabinConflict(cabin, person);
+                  return (
+                    <div key={person.key} className={styles.participantCard}>
+                      <h4>
+                        {person.name}
+                        {locked[person.key] && (
+                          <button
+                            type="button"
+                            className={styles.lockBadge}
+                            onClick={() => onUnlock(person.key)}
+                            title="Movido a mano: no se reubica automáticamente. Clic para desbloquear"
+                          >
+                            <Lock size={10} />
+                          </button>
+                        )}
+                      </h4>
+                      <div className={styles.participantData}>
+                        <div>
+                          <span
+                            className={styles.teamCount}
+                            style={{ backgroundColor: colors[person.team]?.color || '#6b7280', color: 'white' }}
+                          >
+                            {person.team}
+                          </span>
+                        </div>
+                        <div><strong>Edad:</strong> {person.age ?? '—'}</div>
+                      </div>
+                      {conflict && (
+                        <p className={styles.settingsError}>
+                          <AlertTriangle size={12} /> La cabaña {conflict}
+                        </p>
+                      )}
+                      {moveSelect(person)}
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
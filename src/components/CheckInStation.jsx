@@ -0,0 +1,140 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ScanLine, CheckCircle2, AlertTriangle, XCircle } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+
+const formatTime = (date) => date.toLocaleTimeString('es-BO', { hour: '2-digit', minute: '2-digit' });
+
+// Cuántos registros recientes se muestran debajo de la confirmación
+const RECENT_LIMIT = 8;
+
+/**
+ * Estación de registro: un lector de códigos tipo teclado (o alguien escribiendo el código)
+ * marca la llegada en la sesión elegida. El campo queda siempre enfocado para escanear seguido.
+ * El total de presentes se ve en el selector de sesión
+ *
+ * @param {Function} resolveCode - código → { key, name, team, cabin } o null si no existe
+ * @param {Function} isCheckedIn - clave → ya está presente en la sesión
+ * @param {Function} onCheckIn - marca presente a la clave
+ */
+export default function CheckInStation({
+  resolveCode,
+  isCheckedIn,
+  onCheckIn,
+  sessionName,
+  colors
+}) {
+  const inputRef = useRef(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [arrivals, setArrivals] = useState(0);
+
+  // Volver a enfocar el campo si se hace clic en otra parte de la página (menos en otros
+  // campos, como el selector de sesión)
+  useEffect(() => {
+    const refocus = (e) => {
+      if (e.target.closest('input, select, textarea')) return;
+      setTimeout(() => inputRef.current?.focus(), 0);
+    };
+    document.addEventListener('click', refocus);
+    return () => document.removeEventListener('click', refocus);
+  }, []);
+
+  const submit = () => {
+    const value = code.trim();
+    setCode('');
+    if (!value) return;
+
+    const person = resolveCode(value);
+    let next;
+    if (!person) {
+      next = { status: 'unknown', code: value };
+    } else if (isCheckedIn(person.key)) {
+      next = { status: 'repeated', person };
+    } else {
+      onCheckIn(person.key);
+      setArrivals(n => n + 1);
+      next = { status: 'ok', person };
+    }
+
+    const at = new Date();
+    setResult({ ...next, at });
+    setRecent(prev => [{ ...next, at }, ...prev].slice(0, RECENT_LIMIT));
+  };
+
+  const color = result?.person ? colors[result.person.team]?.color || '#475569' : null;
+
+  return (
+    <>
+      <div className={styles.searchSection}>
+        <h3>
+          <ScanLine size={16} /> Registro de llegada · {sessionName}
+        </h3>
+        <div className={styles.inputGroup}>
+          <input
+            ref={inputRef}
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submit()}
+            placeholder="Escanea la credencial o escribe el código..."
+            autoComplete="off"
+            autoFocus
+          />
+          <button type="button" onClick={submit}>Registrar</button>
+        </div>
+        <div className={styles.checkInCounts}>
+          <strong>{arrivals}</strong> {arrivals === 1 ? 'llegada registrada' : 'llegadas registradas'} en esta estación
+        </div>
+      </div>
+
+      {result && (
+        <div
+          className={`${styles.checkInResult} ${result.status === 'repeated' ? styles.checkInRepeated : ''} ${result.status === 'unknown' ? styles.checkInUnknown : ''}`}
+          style={result.status === 'ok' ? { backgroundColor: color } : undefined}
+        >
+          {result.status === 'ok' && <CheckCircle2 size={48} />}
+          {result.status === 'repeated' && <AlertTriangle size={48} />}
+          {result.status === 'unknown' && <XCircle size={48} />}
+          <div>
+            {result.status === 'unknown' ? (
+              <>
+                <strong>Código desconocido</strong>
+                <span>"{result.code}" no corresponde a ningún participante</span>
+              </>
+            ) : (
+              <>
+                <strong>{result.person.name}</strong>
+                <span>
+                  {result.person.team === 'Staff' ? 'Staff' : `Equipo ${result.person.team}`}
+                  {result.person.cabin && ` · Cabaña ${result.person.cabin}`}
+                </span>
+                {result.status === 'repeated' && <span>Ya estaba registrado en esta sesión</span>}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <div className={styles.searchSection}>
+          <ul className={styles.drawLog}>
+            {recent.map((entry, i) => (
+              <li key={i}>
+                {formatTime(entry.at)} ·{' '}
+                {entry.status === 'unknown' ? (
+                  <span className={styles.attendanceAbsent}>Código desconocido: {entry.code}</span>
+                ) : (
+                  <>
+                    <strong style={{ color: colors[entry.person.team]?.color }}>{entry.person.name}</strong>
+                    {entry.status === 'repeated' && <span className={styles.attendanceAbsent}> · ya registrado</span>}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Check, X, Wand2 } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { FIELDS, detectColumnMapping } from '../utils/columnMapping';
+
+/**
+ * Primeros valores no vacíos de una columna, para ayudar a reconocerla
+ */
+const sampleValues = (participants, header, count = 3) => {
+  if (!header) return [];
+  const values = [];
+  for (const p of participants) {
+    const v = p[header] !== undefined && p[header] !== null ? String(p[header]).trim() : '';
+    if (v && !values.includes(v)) values.push(v);
+    if (values.length >= count) break;
+  }
+  return values;
+};
+
+/**
+ * Paso de mapeo: confirmar o corregir qué columna corresponde a cada campo
+ */
+export default function ColumnMappingWizard({ headers, participants, mapping, onConfirm, onCancel }) {
+  const [draft, setDraft] = useState(() => ({ ...mapping }));
+
+  const missingRequired = FIELDS.filter(f => f.required && !draft[f.id]);
+
+  const updateField = (field, header) => {
+    setDraft(prev => ({ ...prev, [field]: header || null }));
+  };
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Columnas de la planilla</h3>
+        {onCancel && (
+          <button type="button" className={styles.iconBtn} onClick={onCancel} title="Cerrar">
+            <X size={16} />
+          </button>
+        )}
+      </div>
+      <p className={styles.settingsHint} style={{ marginTop: 0, marginBottom: '0.5rem' }}>
+        Confirma qué columna corresponde a cada dato. Se detectaron automáticamente a partir de los encabezados.
+      </p>
+
+      <div className={styles.mappingTable}>
+        {FIELDS.map(field => {
+          const samples = sampleValues(participants, draft[field.id]);
+          return (
+            <div key={field.id} className={styles.mappingRow}>
+              <label htmlFor={`map-${field.id}`}>
+                {field.label}{field.required && ' *'}
+              </label>
+              <select
+                id={`map-${field.id}`}
+                value={draft[field.id] || ''}
+                onChange={(e) => updateField(field.id, e.target.value)}
+              >
+                <option value="">— Sin columna —</option>
+                {headers.map(h => (
+                  <option key={h} value={h}>{h}</option>
+                ))}
+              </select>
+              <span className={styles.mappingSample}>
+                {samples.length > 0 ? samples.join(' · ') : '—'}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      {missingRequired.length > 0 && (
+        <p className={styles.settingsError}>
+          Falta elegir: {missingRequired.map(f => f.label).join(', ')}
+        </p>
+      )}
+
+      <div className={styles.settingsActions}>
+        <button type="button" onClick={() => setDraft(detectColumnMapping(headers))}>
+          <Wand2 size={14} /> Detectar de nuevo
+        </button>
+        <button type="button" onClick={() => onConfirm(draft)} disabled={missingRequired.length > 0}>
+          <Check size={14} /> Confirmar
+        </button>
+      </div>
+    </div>
+  );
+}
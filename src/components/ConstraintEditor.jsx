@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { X, Link2, Unlink, Trash2, AlertTriangle } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { RULE_TYPES, createRule } from '../utils/constraints';
+import { normalizeText } from '../utils/text';
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Editor de reglas: grupos que van juntos y personas que deben ir en equipos distintos
+ *
+ * @param {Array<{key, name, team}>} people - participantes que tienen equipo
+ */
+export default function ConstraintEditor({ people, rules, violations, colors, onSave, onClose }) {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [note, setNote] = useState('');
+
+  const byKey = new Map(people.map(p => [p.key, p]));
+  const normalizedQuery = normalizeText(query);
+  const suggestions = normalizedQuery
+    ? people
+      .filter(p => !selected.includes(p.key) && normalizeText(p.name).includes(normalizedQuery))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const addPerson = (key) => {
+    setSelected(prev => [...prev, key]);
+    setQuery('');
+  };
+
+  const addRule = (type) => {
+    if (selected.length < 2) return;
+    onSave([...rules, createRule(type, selected, note.trim())]);
+    setSelected([]);
+    setNote('');
+  };
+
+  const removeRule = (id) => {
+    onSave(rules.filter(r => r.id !== id));
+  };
+
+  const renderPerson = (key) => {
+    const person = byKey.get(key);
+    if (!person) {
+      return (
+        <span key={key} className={styles.ruleChip} title="No está en la lista actual de participantes">
+          {key} (no encontrado)
+        </span>
+      );
+    }
+    return (
+      <span key={key} className={styles.ruleChip}>
+        {person.name}
+        <span
+          className={styles.ruleTeamDot}
+          style={{ backgroundColor: colors[person.team]?.color || '#6b7280' }}
+          title={person.team}
+        ></span>
+      </span>
+    );
+  };
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Reglas de asignación</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className={styles.inputGroup}>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Buscar participante para agregar a la regla..."
+        />
+      </div>
+      {suggestions.length > 0 && (
+        <div className={styles.ruleSuggestions}>
+          {suggestions.map(p => (
+            <button type="button" key={p.key} onClick={() => addPerson(p.key)}>
+              {p.name} <small>· {p.team}</small>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected.length > 0 && (
+        <div className={styles.ruleDraft}>
+          <div className={styles.ruleMembers}>
+            {selected.map(key => (
+              <span key={key} className={styles.ruleChip}>
+                {byKey.get(key)?.name || key}
+                <button
+                  type="button"
+                  onClick={() => setSelected(prev => prev.filter(k => k !== key))}
+                  title="Quitar"
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            ))}
+          </div>
+          <div className={styles.inputGroup}>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Motivo (opcional): hermanos, pareja..."
+            />
+          </div>
+          <div className={styles.settingsActions}>
+            <button type="button" onClick={() => addRule('together')} disabled={selected.length < 2}>
+              <Link2 size={14} /> {RULE_TYPES.together}
+            </button>
+            <button type="button" onClick={() => addRule('apart')} disabled={selected.length < 2}>
+              <Unlink size={14} /> {RULE_TYPES.apart}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className={styles.ruleList}>
+        {rules.length === 0 && (
+          <p className={styles.settingsHint}>Todavía no hay reglas.</p>
+        )}
+        {rules.map(rule => {
+          const broken = violations.filter(v => v.rule.id === rule.id);
+          return (
+            <div key={rule.id} className={styles.ruleItem}>
+              <div className={styles.ruleItemHeader}>
+                <strong>{RULE_TYPES[rule.type]}</strong>
+                {rule.note && <span className={styles.settingsHint} style={{ margin: 0 }}>{rule.note}</span>}
+                <button
+                  type="button"
+                  className={styles.iconBtn}
+                  onClick={() => removeRule(rule.id)}
+                  title="Eliminar regla"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              <div className={styles.ruleMembers}>
+                {rule.keys.map(renderPerson)}
+              </div>
+              {broken.map((v, i) => (
+                <p key={i} className={styles.settingsError}>
+                  <AlertTriangle size={12} /> No se pudo cumplir: {v.message}
+                </p>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
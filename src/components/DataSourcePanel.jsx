@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Upload, LinkIcon, RefreshCw, Trash2, X, FileSpreadsheet } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { ACCEPTED_FILE_TYPES, createSheetSource, createFileSource } from '../utils/dataSources';
+
+/**
+ * Selector de fuentes: planillas de Google Sheets y archivos locales (.xlsx, .csv, .ods)
+ */
+export default function DataSourcePanel({ sources, onApply, onClose }) {
+  const [draft, setDraft] = useState(sources);
+  const [url, setUrl] = useState('');
+  const [error, setError] = useState(null);
+  const [reading, setReading] = useState(false);
+
+  const activeCount = draft.filter(s => s.enabled).length;
+
+  const addUrl = () => {
+    const trimmed = url.trim();
+    if (!trimmed) return;
+    if (!/^https?:\/\//i.test(trimmed)) {
+      setError('Ingresa una URL válida de Google Sheets.');
+      return;
+    }
+    setError(null);
+    setDraft(prev => [...prev, createSheetSource(trimmed)]);
+    setUrl('');
+  };
+
+  const addFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setReading(true);
+      setError(null);
+      const source = await createFileSource(file);
+      setDraft(prev => [...prev, source]);
+    } catch (err) {
+      setError(`No se pudo leer ${file.name}: ${err.message}`);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const toggleSource = (id) => {
+    setDraft(prev => prev.map(s => (s.id === id ? { ...s, enabled: !s.enabled } : s)));
+  };
+
+  const removeSource = (id) => {
+    setDraft(prev => prev.filter(s => s.id !== id));
+  };
+
+  // Usar solo una fuente: desactiva las demás
+  const selectOnly = (id) => {
+    setDraft(prev => prev.map(s => ({ ...s, enabled: s.id === id })));
+  };
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Fuente de datos</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className={styles.sourceList}>
+        {draft.map(source => (
+          <div key={source.id} className={styles.sourceItem}>
+            <input
+              type="checkbox"
+              checked={source.enabled}
+              onChange={() => toggleSource(source.id)}
+              title="Incluir en la lista de participantes"
+            />
+            {source.type === 'file' ? <FileSpreadsheet size={16} /> : <LinkIcon size={16} />}
+            <div className={styles.sourceLabel}>
+              <span title={source.label}>{source.label}</span>
+              {source.type === 'file' && (
+                <small>{source.participants?.length || 0} filas · guardado en este dispositivo</small>
+              )}
+            </div>
+            <button type="button" className={styles.linkBtn} onClick={() => selectOnly(source.id)}>
+              Usar solo esta
+            </button>
+            <button
+              type="button"
+              className={styles.iconBtn}
+              onClick={() => removeSource(source.id)}
+              disabled={draft.length <= 1}
+              title="Quitar fuente"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className={styles.inputGroup} style={{ marginTop: '0.75rem' }}>
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="Pega la URL de una hoja de Google Sheets..."
+          onKeyDown={(e) => e.key === 'Enter' && addUrl()}
+        />
+        <button type="button" onClick={addUrl}>
+          <LinkIcon size={14} /> Agregar URL
+        </button>
+        <label className={styles.fileBtn}>
+          <Upload size={14} /> {reading ? 'Leyendo...' : 'Subir archivo'}
+          <input type="file" accept={ACCEPTED_FILE_TYPES} onChange={addFile} disabled={reading} hidden />
+        </label>
+      </div>
+
+      {error && <p className={styles.settingsError}>{error}</p>}
+
+      <div className={styles.settingsActions}>
+        <button type="button" onClick={() => onApply(draft)} disabled={activeCount === 0 || reading}>
+          <RefreshCw size={14} /> {activeCount > 1 ? `Combinar ${activeCount} fuentes y cargar` : 'Cargar'}
+        </button>
+      </div>
+      <p className={styles.settingsHint}>
+        Al combinar fuentes, los participantes repetidos (misma clave) se cuentan una sola vez.
+        Los archivos subidos quedan guardados en este dispositivo y funcionan sin internet.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { X, Shuffle, RotateCcw, ShieldCheck, AlertTriangle } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { DRAW_TYPES } from '../utils/draw';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString('es-BO') : '—');
+
+/**
+ * Sorteo con semilla: datos del sorteo vigente, nuevo sorteo, verificación e historial
+ */
+export default function DrawPanel({ draw, drawLog, participantNames, onNewDraw, onVerify, onClose }) {
+  const [seedInput, setSeedInput] = useState(draw?.seed || '');
+  const [verification, setVerification] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const handleNewDraw = async () => {
+    const ok = window.confirm(
+      'Se volverá a sortear a todos los participantes (excepto coordinadores fijos y movidos a mano). ¿Continuar?'
+    );
+    if (!ok) return;
+    setRunning(true);
+    const seed = await onNewDraw();
+    setSeedInput(seed);
+    setVerification(null);
+    setRunning(false);
+  };
+
+  const handleVerify = async () => {
+    if (!seedInput.trim()) return;
+    setRunning(true);
+    setVerification(await onVerify(seedInput.trim().toUpperCase()));
+    setRunning(false);
+  };
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Sorteo</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+
+      {draw ? (
+        <div className={styles.drawInfo}>
+          <div><strong>Semilla:</strong> <code className={styles.drawSeed}>{draw.seed}</code></div>
+          <div><strong>Fecha:</strong> {formatDate(draw.at)}</div>
+          <div><strong>Participantes:</strong> {draw.rosterKeys.length} (huella {draw.rosterHash})</div>
+          <div><strong>Reglas:</strong> {draw.constraints.length}</div>
+          <div><strong>Equipos:</strong> {draw.teamNames.join(', ')}</div>
+          <div><strong>Resultado:</strong> huella {draw.resultHash}</div>
+        </div>
+      ) : (
+        <p className={styles.settingsHint}>
+          No hay un sorteo registrado. Los equipos actuales se armaron antes de usar semillas.
+        </p>
+      )}
+
+      <div className={styles.inputGroup} style={{ marginTop: '0.75rem' }}>
+        <input
+          type="text"
+          value={seedInput}
+          onChange={(e) => setSeedInput(e.target.value)}
+          placeholder="Semilla, por ejemplo K7QM-3XPA"
+        />
+        <button type="button" onClick={handleVerify} disabled={running || !draw}>
+          <RotateCcw size={14} /> Repetir con semilla
+        </button>
+      </div>
+
+      {verification && (
+        <div className={verification.matchesOriginal ? styles.drawOk : styles.drawWarn}>
+          {verification.matchesOriginal ? <ShieldCheck size={16} /> : <AlertTriangle size={16} />}
+          <div>
+            <p>
+              {verification.matchesOriginal
+                ? 'El resultado es idéntico al sorteo original.'
+                : 'El resultado NO coincide con el sorteo original.'}
+            </p>
+            {verification.missing.length > 0 && (
+              <p>{verification.missing.length} participantes del sorteo ya no están en la lista.</p>
+            )}
+            {verification.changedSince.length > 0 && (
+              <p>
+                {verification.changedSince.length} cambios posteriores al sorteo:{' '}
+                {verification.changedSince
+                  .slice(0, 10)
+                  .map(k => participantNames[k] || k)
+                  .join(', ')}
+                {verification.changedSince.length > 10 && '…'}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className={styles.settingsActions}>
+        <button type="button" onClick={handleNewDraw} disabled={running}>
+          <Shuffle size={14} /> Nuevo sorteo
+        </button>
+      </div>
+
+      {drawLog.length > 0 && (
+        <div className={styles.settingsSection}>
+          <h4>Historial</h4>
+          <ul className={styles.drawLog}>
+            {drawLog.map((entry, i) => (
+              <li key={i}>
+                <strong>{DRAW_TYPES[entry.type] || entry.type}</strong> · {formatDate(entry.at)} · semilla {entry.seed}
+                <br />
+                <small>
+                  {entry.rosterSize} participantes (huella {entry.rosterHash}) · {entry.constraintsCount} reglas
+                  {entry.detail && ` · ${entry.detail}`}
+                </small>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
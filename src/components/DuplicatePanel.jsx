@@ -0,0 +1,89 @@
+import React from 'react';
+import { X, Check, Ban } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { getField } from '../utils/columnMapping';
+
+/**
+ * Posibles inscripciones duplicadas: conservar uno de los dos registros o descartar la sugerencia
+ */
+export default function DuplicatePanel({
+  duplicates,
+  participants,
+  getKey,
+  mapping,
+  assignments,
+  attendance,
+  colors,
+  onMerge,
+  onDismiss,
+  onClose
+}) {
+  const byKey = new Map(participants.map(p => [getKey(p), p]));
+
+  const renderRecord = (key, otherKey) => {
+    const p = byKey.get(key);
+    const team = assignments[key];
+    return (
+      <div className={styles.duplicateRecord}>
+        <strong>{getField(p, mapping, 'name') || key}</strong>
+        <small>Celular: {getField(p, mapping, 'phone') || '—'}</small>
+        <small>Iglesia: {getField(p, mapping, 'church') || '—'}</small>
+        {mapping.registration && <small>Registro: {getField(p, mapping, 'registration') || '—'}</small>}
+        <small>
+          Equipo:{' '}
+          <span style={{ color: colors[team]?.color }}>{team || 'sin equipo'}</span>
+          {attendance[key] && ' · presente'}
+        </small>
+        <button type="button" onClick={() => onMerge(key, otherKey)}>
+          <Check size={14} /> Conservar este
+        </button>
+      </div>
+    );
+  };
+
+  // Solo pares cuyos dos registros siguen en la lista
+  const visible = duplicates.filter(d => d.keys.every(k => byKey.has(k)));
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Posibles duplicados</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className={styles.settingsHint}>No se encontraron inscripciones duplicadas.</p>
+      ) : (
+        <>
+          <p className={styles.settingsHint}>
+            Al conservar un registro, el otro deja de ocupar un lugar en los equipos. Si cualquiera
+            de los dos tenía asistencia marcada, se mantiene.
+          </p>
+          <div className={styles.ruleList}>
+            {visible.map(d => (
+              <div key={d.id} className={styles.ruleItem}>
+                <div className={styles.ruleItemHeader}>
+                  <span className={styles.settingsHint} style={{ margin: 0 }}>{d.reasons.join(' · ')}</span>
+                  <button
+                    type="button"
+                    className={styles.linkBtn}
+                    style={{ marginLeft: 'auto' }}
+                    onClick={() => onDismiss(d.id)}
+                  >
+                    <Ban size={12} /> No es duplicado
+                  </button>
+                </div>
+                <div className={styles.duplicatePair}>
+                  {renderRecord(d.keys[0], d.keys[1])}
+                  {renderRecord(d.keys[1], d.keys[0])}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
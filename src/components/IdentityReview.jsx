@@ -0,0 +1,63 @@
+import React from 'react';
+import { X, Link2, UserPlus } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+
+/**
+ * Revisión de identidades dudosas: personas con clave nueva que podrían ser alguien ya guardado
+ * (por ejemplo, si corrigió su nombre en la planilla)
+ */
+export default function IdentityReview({ reviews, assignments, attendance, colors, onResolve, onClose }) {
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Revisar identidades</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+      <p className={styles.settingsHint}>
+        Al vincular, la persona recupera el equipo y la asistencia guardados con el registro anterior.
+      </p>
+
+      <div className={styles.ruleList}>
+        {reviews.map(review => (
+          <div key={review.key} className={styles.ruleItem}>
+            <div className={styles.ruleItemHeader}>
+              <strong>{review.name || review.key}</strong>
+              <span className={styles.settingsHint} style={{ margin: 0 }}>
+                ahora en {assignments[review.key] || 'sin equipo'}
+              </span>
+            </div>
+            {review.candidates.map(candidate => (
+              <div key={candidate.key} className={styles.identityCandidate}>
+                <span>
+                  {candidate.name}
+                  <small>
+                    {' '}· {candidate.reason}
+                    {assignments[candidate.key] && (
+                      <>
+                        {' '}·{' '}
+                        <span style={{ color: colors[assignments[candidate.key]]?.color }}>
+                          Equipo {assignments[candidate.key]}
+                        </span>
+                      </>
+                    )}
+                    {attendance[candidate.key] && ' · con asistencia'}
+                  </small>
+                </span>
+                <button type="button" onClick={() => onResolve(review.key, candidate.key)}>
+                  <Link2 size={14} /> Es la misma persona
+                </button>
+              </div>
+            ))}
+            <div className={styles.settingsActions}>
+              <button type="button" onClick={() => onResolve(review.key, null)}>
+                <UserPlus size={14} /> Es una persona nueva
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useRef } from 'react';
+import { Maximize, Trophy } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { computeStandings, getScoreHistory } from '../utils/scoreboard';
+
+/**
+ * Marcador para pantalla grande: posiciones con barras en el color de cada equipo y las
+ * últimas actividades
+ */
+export default function Leaderboard({ scores, teamNames, colors }) {
+  const boardRef = useRef(null);
+  const standings = computeStandings(scores, teamNames);
+  const max = Math.max(...standings.map(row => Math.abs(row.points)), 1);
+  const recent = getScoreHistory(scores).filter(entry => !entry.undoneAt).slice(0, 5);
+
+  const enterFullscreen = () => {
+    boardRef.current?.requestFullscreen?.();
+  };
+
+  return (
+    <div ref={boardRef} className={styles.leaderboard}>
+      <div className={styles.leaderboardHeader}>
+        <h2><Trophy size={28} /> Marcador AGIOS 2.8</h2>
+        <button type="button" className={styles.iconBtn} onClick={enterFullscreen} title="Pantalla completa">
+          <Maximize size={20} />
+        </button>
+      </div>
+
+      <ol className={styles.leaderboardRows}>
+        {standings.map(row => (
+          <li key={row.team}>
+            <span className={styles.leaderboardRank}>{row.rank}</span>
+            <div className={styles.leaderboardBar}>
+              <div
+                style={{
+                  width: `${Math.max((Math.max(row.points, 0) / max) * 100, 2)}%`,
+                  backgroundColor: colors[row.team]?.color
+                }}
+              />
+              <span>{row.team}</span>
+            </div>
+            <strong className={styles.leaderboardPoints} style={{ color: colors[row.team]?.color }}>
+              {row.points}
+            </strong>
+          </li>
+        ))}
+      </ol>
+
+      {recent.length > 0 && (
+        <ul className={styles.leaderboardRecent}>
+          {recent.map(entry => (
+            <li key={entry.id}>
+              <strong style={{ color: colors[entry.team]?.color }}>{entry.team}</strong>{' '}
+              {entry.points > 0 ? `+${entry.points}` : entry.points} · {entry.activity}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
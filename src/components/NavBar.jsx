@@ -0,0 +1,76 @@
+import React from 'react';
+import { Search, Trophy, Users, ClipboardCheck, BarChart3, Shirt, Wallet, Medal, BedDouble, MessageCircle, ScanLine, HardHat, Settings } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { routePath, linkProps, teamSlug } from '../utils/router';
+
+const ICONS = {
+  lookup: Search,
+  leaderboard: Trophy,
+  teams: Users,
+  rollCall: ClipboardCheck,
+  stats: BarChart3,
+  shirts: Shirt,
+  payments: Wallet,
+  scores: Medal,
+  cabins: BedDouble,
+  whatsapp: MessageCircle,
+  checkIn: ScanLine,
+  staff: HardHat,
+  admin: Settings
+};
+
+const LABELS = {
+  lookup: 'Buscar',
+  leaderboard: 'Marcador',
+  teams: 'Equipos',
+  rollCall: 'Asistencia',
+  stats: 'Estadísticas',
+  shirts: 'Poleras',
+  payments: 'Pagos',
+  scores: 'Puntos',
+  cabins: 'Cabañas',
+  whatsapp: 'Avisos',
+  checkIn: 'Registro',
+  staff: 'Staff',
+  admin: 'Administración'
+};
+
+/**
+ * Navegación entre páginas; las de administración solo se muestran en modo administrador.
+ * Las de cada equipo son públicas, para que cada líder comparta la suya
+ */
+export default function NavBar({ route, navigate, isAdmin, teamNames, colors }) {
+  const pages = isAdmin ? Object.keys(LABELS) : ['lookup', 'leaderboard'];
+
+  return (
+    <nav className={styles.navBar}>
+      <div className={styles.navLinks}>
+        {pages.map(page => {
+          const Icon = ICONS[page];
+          return (
+            <a
+              key={page}
+              {...linkProps(routePath(page), navigate)}
+              className={`${styles.navLink} ${route.page === page ? styles.navLinkActive : ''}`}
+            >
+              <Icon size={14} /> {LABELS[page]}
+            </a>
+          );
+        })}
+      </div>
+
+      <div className={styles.navTeams}>
+        {teamNames.map(team => (
+          <a
+            key={team}
+            {...linkProps(routePath('team', team), navigate)}
+            className={`${styles.navTeam} ${route.page === 'team' && route.team === teamSlug(team) ? styles.navTeamActive : ''}`}
+            style={{ backgroundColor: colors[team]?.color }}
+          >
+            {team}
+          </a>
+        ))}
+      </div>
+    </nav>
+  );
+}
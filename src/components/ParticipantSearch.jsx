@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { Search, UserCheck } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { searchPeople } from '../utils/search';
+import { routePath, linkProps } from '../utils/router';
+
+// Letras mínimas antes de mostrar resultados
+const MIN_QUERY_LENGTH = 2;
+
+// Resultados que se muestran a la vez; el resto se alcanza escribiendo más
+const RESULT_LIMIT = 20;
+
+/**
+ * Buscador "¿En qué equipo estoy?": busca mientras se escribe y muestra todas las coincidencias,
+ * con filtro por equipo. Los administradores además ven la iglesia, filtran por iglesia y
+ * staff y marcan asistencia
+ *
+ * @param {Array<{ key, participant, name, phone, church, team, cabin, isStaff }>} people
+ * @param {Function} isPresent - clave → presente en la sesión elegida
+ */
+export default function ParticipantSearch({
+  people,
+  teamNames,
+  colors,
+  isAdmin,
+  isPresent,
+  sessionName,
+  onToggleAttendance,
+  navigate,
+  children
+}) {
+  const [query, setQuery] = useState('');
+  const [teamFilter, setTeamFilter] = useState('');
+  const [churchFilter, setChurchFilter] = useState('');
+  const [staffFilter, setStaffFilter] = useState('');
+
+  const churches = [...new Set(people.map(p => p.church).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'es'));
+
+  const searching = query.trim().length >= MIN_QUERY_LENGTH;
+  const results = searching
+    ? searchPeople(people, query)
+      .filter(p => !teamFilter || p.team === teamFilter)
+      .filter(p => !isAdmin || !churchFilter || p.church === churchFilter)
+      .filter(p => !isAdmin || !staffFilter || (staffFilter === 'staff') === p.isStaff)
+    : [];
+
+  return (
+    <div className={styles.searchSection}>
+      <h3>
+        <Search size={16} /> ¿En qué equipo estoy?
+      </h3>
+      <div className={styles.inputGroup}>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Nombre o número de celular..."
+          autoComplete="off"
+        />
+      </div>
+      <div className={styles.rollCallFilters} style={{ marginTop: '0.5rem' }}>
+        <select value={teamFilter} onChange={(e) => setTeamFilter(e.target.value)}>
+          <option value="">Todos los equipos</option>
+          {teamNames.map(t => (
+            <option key={t} value={t}>Equipo {t}</option>
+          ))}
+          <option value="Staff">Staff</option>
+        </select>
+        {isAdmin && churches.length > 0 && (
+          <select value={churchFilter} onChange={(e) => setChurchFilter(e.target.value)}>
+            <option value="">Todas las iglesias</option>
+            {churches.map(c => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        )}
+        {isAdmin && (
+          <select value={staffFilter} onChange={(e) => setStaffFilter(e.target.value)}>
+            <option value="">Participantes y staff</option>
+            <option value="participants">Solo participantes</option>
+            <option value="staff">Solo staff</option>
+          </select>
+        )}
+      </div>
+
+      {searching && results.length === 0 && (
+        <div className={styles.searchResult}>
+          <p>❌ No se encontró ningún participante.</p>
+        </div>
+      )}
+
+      {results.slice(0, RESULT_LIMIT).map(person => {
+        const present = isAdmin && isPresent(person.key);
+        return (
+          <div key={person.key} className={styles.searchResult}>
+            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem' }}>
+              <UserCheck color="#0ea5e9" size={16} style={{ marginTop: '2px' }} />
+              <div>
+                <p style={{ fontWeight: '600', color: '#1e4155', fontSize: '0.9rem' }}>
+                  {person.name}
+                  {isAdmin && person.church && <small style={{ fontWeight: 400, color: '#64748b' }}> · {person.church}</small>}
+                </p>
+                <p style={{ marginTop: '0.1rem', fontSize: '0.8rem' }}>
+                  <strong>Equipo:</strong>{' '}
+                  <span
+                    style={{
+                      backgroundColor: colors[person.team]?.color || '#6b7280',
+                      color: 'white',
+                      padding: '0.15rem 0.4rem',
+                      borderRadius: '12px',
+                      fontSize: '0.7rem'
+                    }}
+                  >
+                    {person.team}
+                  </span>
+                  {person.cabin && <> · <strong>Cabaña {person.cabin}</strong></>}
+                  {teamNames.includes(person.team) && (
+                    <a {...linkProps(routePath('team', person.team), navigate)} className={styles.linkBtn}>
+                      Ver equipo
+                    </a>
+                  )}
+                </p>
+                {/* Toggle de asistencia en búsqueda (solo administradores) */}
+                {isAdmin && (
+                  <div
+                    className={styles.attendanceToggle}
+                    style={{ marginTop: '0.5rem' }}
+                    onClick={() => onToggleAttendance(person.participant)}
+                  >
+                    <input type="checkbox" checked={present} readOnly />
+                    <span className={present ? styles.attendancePresent : styles.attendanceAbsent}>
+                      {present ? 'Presente' : 'Ausente'}
+                    </span>
+                    <small style={{ color: '#64748b' }}>· {sessionName}</small>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+
+      {results.length > RESULT_LIMIT && (
+        <p className={styles.settingsHint}>
+          Se muestran {RESULT_LIMIT} de {results.length} coincidencias. Escribe más para afinar la búsqueda.
+        </p>
+      )}
+
+      {children}
+    </div>
+  );
+}
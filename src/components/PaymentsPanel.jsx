@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import styles from './TeamDividir.module.css';
+import { getField } from '../utils/columnMapping';
+import { normalizeText } from '../utils/text';
+import {
+  PAYMENT_STATUSES,
+  getPayment,
+  getBalance,
+  summarizePayments,
+  groupByPaymentMethod,
+  formatAmount
+} from '../utils/payments';
+
+/**
+ * Pagos: cuota del campamento, saldos por equipo y en total, y cada participante agrupado
+ * por forma de pago para marcarlo como verificado, parcial o pendiente
+ */
+export default function PaymentsPanel({
+  participants,
+  mapping,
+  getKey,
+  getTeam,
+  teamNames,
+  colors,
+  payments,
+  fee,
+  onSavePayment,
+  onSaveFee
+}) {
+  const [feeInput, setFeeInput] = useState(fee ? String(fee) : '');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [query, setQuery] = useState('');
+
+  const summaries = [
+    ...teamNames.map(team => ({
+      label: `Equipo ${team}`,
+      color: colors[team]?.color,
+      ...summarizePayments(participants.filter(p => getTeam(p) === team), payments, fee, getKey)
+    })),
+    { label: 'Total', ...summarizePayments(participants, payments, fee, getKey) }
+  ];
+
+  const text = normalizeText(query);
+  const groups = groupByPaymentMethod(
+    participants
+      .filter(p => !statusFilter || getPayment(payments, getKey(p)).status === statusFilter)
+      .filter(p => !text || normalizeText(getField(p, mapping, 'name')).includes(text)),
+    mapping
+  );
+
+  const saveFee = () => {
+    const value = Math.max(Number(feeInput) || 0, 0);
+    if (value !== fee) onSaveFee(value);
+  };
+
+  return (
+    <>
+      <div className={styles.searchSection}>
+        <h3>Saldos</h3>
+        <div className={styles.inputGroup}>
+          <input
+            type="number"
+            min="0"
+            value={feeInput}
+            onChange={(e) => setFeeInput(e.target.value)}
+            onBlur={saveFee}
+            onKeyDown={(e) => e.key === 'Enter' && saveFee()}
+            placeholder="Cuota por participante (Bs)"
+          />
+        </div>
+        {!fee && (
+          <p className={styles.settingsHint}>Indica la cuota por participante para calcular los saldos.</p>
+        )}
+        <div className={styles.statTableWrap}>
+          <table className={styles.statTable}>
+            <thead>
+              <tr>
+                <th></th>
+                <th>Verificados</th>
+                <th>Parciales</th>
+                <th>Pendientes</th>
+                <th>Pagado</th>
+                <th>Saldo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summaries.map(s => (
+                <tr key={s.label}>
+                  <td style={{ color: s.color }}><strong>{s.label}</strong></td>
+                  <td>{s.byStatus.verified}</td>
+                  <td>{s.byStatus.partial}</td>
+                  <td>{s.byStatus.pending}</td>
+                  <td>{formatAmount(s.paid)}</td>
+                  <td><strong>{formatAmount(s.balance)}</strong></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className={styles.settingsHint}>El staff no paga cuota y no aparece en esta lista.</p>
+      </div>
+
+      <div className={styles.searchSection}>
+        <div className={styles.rollCallFilters}>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">Todos los estados</option>
+            {Object.entries(PAYMENT_STATUSES).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <div className={styles.inputGroup}>
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Filtrar por nombre..."
+            />
+          </div>
+        </div>
+
+        {groups.length === 0 && <p className={styles.settingsHint}>Nadie coincide con el filtro.</p>}
+
+        {groups.map(group => (
+          <div key={group.method} className={styles.settingsSection}>
+            <h4>{group.method} <small>({group.members.length})</small></h4>
+            <ul className={styles.paymentList}>
+              {group.members.map(member => {
+                const key = getKey(member);
+                const record = getPayment(payments, key);
+                const team = getTeam(member);
+                return (
+                  <li key={key}>
+                    <span className={styles.rollCallName}>{getField(member, mapping, 'name') || '—'}</span>
+                    <span
+                      className={styles.teamCount}
+                      style={{ backgroundColor: colors[team]?.color || '#6b7280', color: 'white' }}
+                    >
+                      {team}
+                    </span>
+                    <select
+                      value={record.status}
+                      onChange={(e) => onSavePayment(key, {
+                        status: e.target.value,
+                        amount: e.target.value === 'pending' ? 0 : record.amount
+                      })}
+                    >
+                      {Object.entries(PAYMENT_STATUSES).map(([id, label]) => (
+                        <option key={id} value={id}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      key={`${record.at}:${record.amount}`}
+                      type="number"
+                      min="0"
+                      defaultValue={record.amount || ''}
+                      placeholder={record.status === 'verified' ? String(fee || 'Monto') : 'Monto'}
+                      onBlur={(e) => {
+                        const amount = Math.max(Number(e.target.value) || 0, 0);
+                        if (amount === record.amount) return;
+                        // Un monto en un pago pendiente lo vuelve parcial
+                        const status = record.status === 'pending' && amount > 0 ? 'partial' : record.status;
+                        onSavePayment(key, { status, amount });
+                      }}
+                      title="Monto recibido (Bs)"
+                    />
+                    <span className={styles.paymentBalance} title="Saldo">
+                      {fee ? formatAmount(getBalance(record, fee)) : '—'}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import styles from './TeamDividir.module.css';
+import { getField } from '../utils/columnMapping';
+import { normalizeText } from '../utils/text';
+import { isPresent } from '../utils/sessions';
+
+/**
+ * Pasar lista: todos los participantes en orden alfabético, con filtro por equipo y por
+ * nombre, para marcar asistencia en la sesión elegida
+ */
+export default function RollCall({
+  participants,
+  mapping,
+  getKey,
+  getTeam,
+  teamNames,
+  colors,
+  attendance,
+  session,
+  onToggle
+}) {
+  const [teamFilter, setTeamFilter] = useState('');
+  const [query, setQuery] = useState('');
+  const [onlyAbsent, setOnlyAbsent] = useState(false);
+
+  const text = normalizeText(query);
+  const rows = participants
+    .map(p => {
+      const key = getKey(p);
+      return {
+        participant: p,
+        key,
+        name: getField(p, mapping, 'name') || '—',
+        team: getTeam(p),
+        present: isPresent(attendance, session, key)
+      };
+    })
+    .filter(row => !teamFilter || row.team === teamFilter)
+    .filter(row => !text || normalizeText(row.name).includes(text))
+    .filter(row => !onlyAbsent || !row.present)
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+
+  return (
+    <div className={styles.searchSection}>
+      <div className={styles.rollCallFilters}>
+        <select value={teamFilter} onChange={(e) => setTeamFilter(e.target.value)}>
+          <option value="">Todos los equipos</option>
+          {teamNames.map(t => (
+            <option key={t} value={t}>Equipo {t}</option>
+          ))}
+          <option value="Staff">Staff</option>
+        </select>
+        <div className={styles.inputGroup}>
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Filtrar por nombre..."
+          />
+        </div>
+        <label>
+          <input type="checkbox" checked={onlyAbsent} onChange={(e) => setOnlyAbsent(e.target.checked)} />
+          Solo ausentes
+        </label>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className={styles.settingsHint}>Nadie coincide con el filtro.</p>
+      ) : (
+        <ul className={styles.rollCallList}>
+          {rows.map(row => (
+            <li key={row.key}>
+              <div
+                className={styles.attendanceToggle}
+                onClick={() => onToggle(row.participant)}
+              >
+                <input type="checkbox" checked={row.present} readOnly />
+                <span className={styles.rollCallName}>{row.name}</span>
+                <span
+                  className={styles.teamCount}
+                  style={{ backgroundColor: colors[row.team]?.color || '#6b7280', color: 'white' }}
+                >
+                  {row.team}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
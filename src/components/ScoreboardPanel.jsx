@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Plus, Undo2 } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { getScoreHistory, getActivities, computeStandings } from '../utils/scoreboard';
+
+const formatDate = (iso) => new Date(iso).toLocaleString('es-BO');
+
+/**
+ * Carga de puntos: una actividad con puntos (o descuentos) para cada equipo, posiciones
+ * actuales e historial con opción de deshacer
+ */
+export default function ScoreboardPanel({ scores, teamNames, colors, onAdd, onUndo }) {
+  const [activity, setActivity] = useState('');
+  const [points, setPoints] = useState({});
+  const [error, setError] = useState('');
+
+  const standings = computeStandings(scores, teamNames);
+  const history = getScoreHistory(scores);
+
+  const submit = async () => {
+    const awards = teamNames
+      .map(team => ({ team, points: Number(points[team]) || 0 }))
+      .filter(a => a.points !== 0);
+    if (!activity.trim()) {
+      setError('Escribe el nombre de la actividad.');
+      return;
+    }
+    if (awards.length === 0) {
+      setError('Indica los puntos de al menos un equipo.');
+      return;
+    }
+    setError('');
+    await onAdd(activity, awards);
+    setPoints({});
+  };
+
+  const undo = (entry) => {
+    const ok = window.confirm(`¿Deshacer ${entry.points > 0 ? '+' : ''}${entry.points} puntos de ${entry.team} en "${entry.activity}"?`);
+    if (ok) onUndo(entry.id);
+  };
+
+  return (
+    <>
+      <div className={styles.searchSection}>
+        <h3>Registrar puntos</h3>
+        <div className={styles.inputGroup}>
+          <input
+            type="text"
+            value={activity}
+            onChange={(e) => setActivity(e.target.value)}
+            placeholder="Actividad, por ejemplo: Búsqueda del tesoro"
+            list="score-activities"
+          />
+          <datalist id="score-activities">
+            {getActivities(scores).map(name => <option key={name} value={name} />)}
+          </datalist>
+        </div>
+        <div className={styles.scoreInputs}>
+          {teamNames.map(team => (
+            <label key={team} style={{ borderColor: colors[team]?.color }}>
+              <span style={{ color: colors[team]?.color }}>{team}</span>
+              <input
+                type="number"
+                value={points[team] ?? ''}
+                onChange={(e) => setPoints(prev => ({ ...prev, [team]: e.target.value }))}
+                placeholder="0"
+              />
+            </label>
+          ))}
+        </div>
+        <p className={styles.settingsHint}>Usa números negativos para descontar puntos.</p>
+        {error && <p className={styles.settingsError}>{error}</p>}
+        <div className={styles.settingsActions}>
+          <button type="button" onClick={submit}>
+            <Plus size={14} /> Registrar
+          </button>
+        </div>
+      </div>
+
+      <div className={styles.searchSection}>
+        <h3>Posiciones</h3>
+        <ol className={styles.scoreStandings}>
+          {standings.map(row => (
+            <li key={row.team}>
+              <span>{row.rank}.</span>
+              <span className={styles.teamCount} style={{ backgroundColor: colors[row.team]?.color, color: 'white' }}>
+                {row.team}
+              </span>
+              <strong>{row.points}</strong>
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {history.length > 0 && (
+        <div className={styles.searchSection}>
+          <h3>Historial</h3>
+          <ul className={styles.drawLog}>
+            {history.map(entry => (
+              <li key={entry.id} className={entry.undoneAt ? styles.scoreUndone : ''}>
+                <strong style={{ color: colors[entry.team]?.color }}>{entry.team}</strong>{' '}
+                {entry.points > 0 ? `+${entry.points}` : entry.points} · {entry.activity}
+                <br />
+                <small>
+                  {formatDate(entry.at)}
+                  {entry.undoneAt && ` · deshecho el ${formatDate(entry.undoneAt)}`}
+                </small>
+                {!entry.undoneAt && (
+                  <button type="button" className={styles.linkBtn} onClick={() => undo(entry)}>
+                    <Undo2 size={12} /> Deshacer
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
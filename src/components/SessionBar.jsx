@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { createSession } from '../utils/sessions';
+
+/**
+ * Sesión de asistencia activa (los toggles Presente/Ausente marcan esta sesión) y gestión de sesiones
+ */
+export default function SessionBar({ sessions, selected, presentCount, totalCount, onSelect, onSave }) {
+  const [editing, setEditing] = useState(null); // 'new' | 'rename' | null
+  const [name, setName] = useState('');
+
+  const current = sessions.find(s => s.id === selected) || sessions[0];
+
+  const startEditing = (mode) => {
+    setEditing(mode);
+    setName(mode === 'rename' ? current.name : '');
+  };
+
+  const confirm = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    if (editing === 'new') {
+      const session = createSession(trimmed);
+      onSave([...sessions, session]);
+      onSelect(session.id);
+    } else {
+      onSave(sessions.map(s => (s.id === current.id ? { ...s, name: trimmed } : s)));
+    }
+    setEditing(null);
+  };
+
+  const remove = () => {
+    if (sessions.length === 1) return;
+    const ok = window.confirm(`Se eliminará la sesión "${current.name}" con su asistencia. ¿Continuar?`);
+    if (!ok) return;
+    const remaining = sessions.filter(s => s.id !== current.id);
+    onSave(remaining, current.id);
+    onSelect(remaining[0].id);
+  };
+
+  return (
+    <div className={styles.sessionBar}>
+      {editing ? (
+        <>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && confirm()}
+            placeholder="Ej.: Llegada, Día 1, Almuerzo sábado, Bus de regreso"
+            autoFocus
+          />
+          <button type="button" className={styles.iconBtn} onClick={confirm} title="Guardar" disabled={!name.trim()}>
+            <Check size={16} />
+          </button>
+          <button type="button" className={styles.iconBtn} onClick={() => setEditing(null)} title="Cancelar">
+            <X size={16} />
+          </button>
+        </>
+      ) : (
+        <>
+          <label>
+            Asistencia de:{' '}
+            <select value={current.id} onChange={(e) => onSelect(e.target.value)}>
+              {sessions.map(s => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          </label>
+          <span className={styles.sessionCount}>
+            {presentCount}/{totalCount} presentes
+          </span>
+          <button type="button" className={styles.iconBtn} onClick={() => startEditing('new')} title="Nueva sesión">
+            <Plus size={16} />
+          </button>
+          <button type="button" className={styles.iconBtn} onClick={() => startEditing('rename')} title="Renombrar sesión">
+            <Pencil size={16} />
+          </button>
+          <button
+            type="button"
+            className={styles.iconBtn}
+            onClick={remove}
+            disabled={sessions.length === 1}
+            title="Eliminar sesión"
+          >
+            <Trash2 size={16} />
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React from 'react';
+import { Download, AlertTriangle } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { downloadShirtReport } from '../utils/shirts';
+
+/**
+ * Pedido de poleras: matriz talla × color de equipo con totales, staff incluido, y la lista
+ * de participantes con talla faltante o no reconocida
+ */
+export default function ShirtReport({ report, colors }) {
+  return (
+    <>
+      <div className={styles.searchSection}>
+        <h3>Poleras por color y talla</h3>
+        {report.total === 0 ? (
+          <p className={styles.settingsHint}>Todavía no hay tallas registradas.</p>
+        ) : (
+          <div className={styles.statTableWrap}>
+            <table className={styles.statTable}>
+              <thead>
+                <tr>
+                  <th>Color</th>
+                  {report.sizes.map(size => <th key={size}>{size}</th>)}
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={row.group}>
+                    <td>
+                      <span
+                        className={styles.teamCount}
+                        style={{ backgroundColor: colors[row.group]?.color || '#6b7280', color: 'white' }}
+                      >
+                        {row.group}
+                      </span>
+                    </td>
+                    {report.sizes.map(size => <td key={size}>{row.counts[size] || ''}</td>)}
+                    <td><strong>{row.total}</strong></td>
+                  </tr>
+                ))}
+                <tr>
+                  <td><strong>Total</strong></td>
+                  {report.sizes.map(size => <td key={size}><strong>{report.totals[size]}</strong></td>)}
+                  <td><strong>{report.total}</strong></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className={styles.settingsActions}>
+          <button type="button" onClick={() => downloadShirtReport(report, 'xlsx')} disabled={report.total === 0}>
+            <Download size={14} /> Excel
+          </button>
+          <button type="button" onClick={() => downloadShirtReport(report, 'csv')} disabled={report.total === 0}>
+            <Download size={14} /> CSV
+          </button>
+        </div>
+      </div>
+
+      {report.issues.length > 0 && (
+        <div className={styles.violationsBanner}>
+          <AlertTriangle size={16} />
+          <div>
+            <strong>
+              {report.issues.length === 1
+                ? '1 participante sin talla válida (no entra en el pedido)'
+                : `${report.issues.length} participantes sin talla válida (no entran en el pedido)`}
+            </strong>
+            <ul>
+              {report.issues.map(issue => (
+                <li key={issue.key}>
+                  {issue.name} · {issue.group}: {issue.value ? `"${issue.value}"` : 'sin talla'}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
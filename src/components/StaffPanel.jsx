@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { UserPlus, Trash2 } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { STAFF_ROLES, getStaffDuty } from '../utils/staff';
+import { searchPeople } from '../utils/search';
+
+/**
+ * Staff: lista de quienes vienen del formulario y de quienes se agregaron a mano, con su rol
+ * y el equipo de color al que apoyan
+ *
+ * @param {Array<{ key, name, phone, church, manual }>} people - manual es true si no llenó el
+ *   formulario (solo esos se pueden quitar desde aquí)
+ */
+export default function StaffPanel({
+  people,
+  duties,
+  teamNames,
+  colors,
+  onAdd,
+  onRemove,
+  onSetDuty
+}) {
+  const [draft, setDraft] = useState({ name: '', phone: '', church: '', role: '' });
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [teamFilter, setTeamFilter] = useState('');
+
+  const withDuty = people.map(person => ({ ...person, ...getStaffDuty(duties, person.key) }));
+  const rows = (query.trim() ? searchPeople(withDuty, query) : [...withDuty].sort((a, b) => a.name.localeCompare(b.name, 'es')))
+    .filter(p => !roleFilter || p.role === (roleFilter === 'none' ? '' : roleFilter))
+    .filter(p => !teamFilter || p.team === (teamFilter === 'none' ? '' : teamFilter));
+
+  const roleCounts = withDuty.reduce((acc, p) => {
+    acc[p.role] = (acc[p.role] || 0) + 1;
+    return acc;
+  }, {});
+
+  const add = () => {
+    if (!draft.name.trim()) {
+      setError('Escribe el nombre.');
+      return;
+    }
+    if (people.some(p => p.name.trim().toLowerCase() === draft.name.trim().toLowerCase())) {
+      setError('Ya hay alguien del staff con ese nombre.');
+      return;
+    }
+    setError('');
+    onAdd(draft);
+    setDraft({ name: '', phone: '', church: '', role: '' });
+  };
+
+  return (
+    <>
+      <div className={styles.settingsPanel}>
+        <div className={styles.settingsHeader}>
+          <h3>Agregar staff</h3>
+        </div>
+        <p className={styles.settingsHint}>Para quienes ayudan en el campamento pero no llenaron el formulario.</p>
+        <div className={styles.staffForm}>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Nombre completo"
+          />
+          <input
+            type="tel"
+            value={draft.phone}
+            onChange={(e) => setDraft({ ...draft, phone: e.target.value })}
+            placeholder="Celular"
+          />
+          <input
+            type="text"
+            value={draft.church}
+            onChange={(e) => setDraft({ ...draft, church: e.target.value })}
+            placeholder="Iglesia"
+          />
+          <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+            <option value="">Sin rol</option>
+            {Object.entries(STAFF_ROLES).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {error && <p className={styles.settingsError}>{error}</p>}
+        <div className={styles.settingsActions}>
+          <button type="button" onClick={add}>
+            <UserPlus size={14} /> Agregar
+          </button>
+        </div>
+      </div>
+
+      <div className={styles.searchSection}>
+        <h3>Staff: {people.length}</h3>
+        <p className={styles.settingsHint}>
+          {Object.entries(STAFF_ROLES).map(([id, label]) => `${label}: ${roleCounts[id] || 0}`).join(' · ')}
+          {' · '}Sin rol: {roleCounts[''] || 0}
+        </p>
+        <div className={styles.rollCallFilters}>
+          <div className={styles.inputGroup}>
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Buscar por nombre o celular..."
+            />
+          </div>
+          <select value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)}>
+            <option value="">Todos los roles</option>
+            {Object.entries(STAFF_ROLES).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+            <option value="none">Sin rol</option>
+          </select>
+          <select value={teamFilter} onChange={(e) => setTeamFilter(e.target.value)}>
+            <option value="">Todos los equipos</option>
+            {teamNames.map(t => (
+              <option key={t} value={t}>Apoya a {t}</option>
+            ))}
+            <option value="none">Sin equipo</option>
+          </select>
+        </div>
+
+        {rows.length === 0 ? (
+          <p className={styles.settingsHint}>Nadie coincide con el filtro.</p>
+        ) : (
+          <ul className={styles.paymentList}>
+            {rows.map(person => (
+              <li key={person.key}>
+                <span className={styles.rollCallName}>
+                  {person.name}
+                  {(person.church || person.phone) && (
+                    <small> · {[person.church, person.phone].filter(Boolean).join(' · ')}</small>
+                  )}
+                  {person.manual && <small> · agregado a mano</small>}
+                </span>
+                <select
+                  value={person.role}
+                  onChange={(e) => onSetDuty(person.key, { role: e.target.value })}
+                  title="Rol"
+                >
+                  <option value="">Sin rol</option>
+                  {Object.entries(STAFF_ROLES).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={person.team}
+                  onChange={(e) => onSetDuty(person.key, { team: e.target.value })}
+                  title="Equipo al que apoya"
+                  style={person.team ? { backgroundColor: colors[person.team]?.color, color: 'white' } : undefined}
+                >
+                  <option value="">Sin equipo</option>
+                  {teamNames.map(t => (
+                    <option key={t} value={t}>Apoya a {t}</option>
+                  ))}
+                </select>
+                {person.manual && (
+                  <button
+                    type="button"
+                    className={styles.iconBtn}
+                    onClick={() => window.confirm(`¿Quitar a ${person.name} del staff?`) && onRemove(person.key)}
+                    title="Quitar del staff"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,173 @@
+import React from 'react';
+import styles from './TeamDividir.module.css';
+import { percent, STATS_REFRESH_MS } from '../utils/stats';
+
+/**
+ * Barras horizontales de una distribución (género, edades, iglesias)
+ */
+function BarList({ rows, total, color }) {
+  if (rows.length === 0) return <p className={styles.settingsHint}>Sin datos</p>;
+
+  return (
+    <ul className={styles.statBars}>
+      {rows.map(row => (
+        <li key={row.label}>
+          <span className={styles.statLabel} title={row.label}>{row.label}</span>
+          <span className={styles.statBar}>
+            <span style={{ width: `${percent(row.count, total)}%`, backgroundColor: color }} />
+          </span>
+          <span className={styles.statValue}>
+            {row.count} <small>({percent(row.count, total)}%)</small>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Distribuciones de un grupo: género, edades, iglesias y asistencia por sesión
+ */
+function GroupBreakdown({ stats, color }) {
+  return (
+    <div className={styles.statGroups}>
+      <div>
+        <h4>Género</h4>
+        <BarList rows={stats.gender} total={stats.total} color={color} />
+      </div>
+      <div>
+        <h4>Edades {stats.averageAge !== null && <small>· promedio {stats.averageAge}</small>}</h4>
+        <BarList rows={stats.age} total={stats.total} color={color} />
+      </div>
+      <div>
+        <h4>Iglesias</h4>
+        <BarList rows={stats.church} total={stats.total} color={color} />
+      </div>
+      <div>
+        <h4>Asistencia por sesión</h4>
+        <BarList
+          rows={stats.attendance.map(s => ({ label: s.name, count: s.present }))}
+          total={stats.total}
+          color={color}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Panel de estadísticas: totales del campamento, asistencia por sesión y equipo, y el detalle
+ * de cada equipo con sus colores
+ *
+ * @param {Date} refreshedAt - última lectura de los datos guardados (null si aún no hubo)
+ */
+export default function StatsDashboard({ stats, teamNames, colors, selectedSession, balance, draw, refreshedAt }) {
+  const { camp, staff, teams } = stats;
+  const current = camp.attendance.find(s => s.id === selectedSession) || camp.attendance[0];
+
+  return (
+    <>
+      <div className={styles.statTotals}>
+        <div title="Sin contar al staff">
+          <strong>{camp.total - staff.total}</strong>
+          <span>Participantes</span>
+        </div>
+        <div>
+          <strong>{teamNames.length}</strong>
+          <span>Equipos</span>
+        </div>
+        <div>
+          <strong>{staff.total}</strong>
+          <span>Staff</span>
+        </div>
+        <div>
+          <strong>{camp.averageAge ?? '—'}</strong>
+          <span>Edad promedio</span>
+        </div>
+        {current && (
+          <div title="Staff incluido">
+            <strong>{current.present} <small>({current.rate}%)</small></strong>
+            <span>Presentes · {current.name}</span>
+          </div>
+        )}
+        {balance.overall !== null && (
+          <div title="Qué tan parecida es la composición de cada equipo a la del campamento">
+            <strong>{balance.overall}%</strong>
+            <span>Equilibrio</span>
+          </div>
+        )}
+        {draw && (
+          <div title={`Sorteo del ${new Date(draw.at).toLocaleString('es-BO')}`}>
+            <strong className={styles.drawSeed}>{draw.seed}</strong>
+            <span>Semilla del sorteo</span>
+          </div>
+        )}
+      </div>
+
+      <div className={styles.searchSection}>
+        <h3>Asistencia por sesión</h3>
+        <p className={styles.settingsHint}>
+          Incluye lo marcado en otros dispositivos; se actualiza cada {STATS_REFRESH_MS / 1000} s
+          {refreshedAt && ` (última lectura ${refreshedAt.toLocaleTimeString('es-BO')})`}.
+        </p>
+        <div className={styles.statTableWrap}>
+          <table className={styles.statTable}>
+            <thead>
+              <tr>
+                <th>Sesión</th>
+                {teamNames.map(team => (
+                  <th key={team} style={{ color: colors[team]?.color }}>{team}</th>
+                ))}
+                <th>Staff</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {camp.attendance.map((session, i) => (
+                <tr key={session.id}>
+                  <td>{session.name}</td>
+                  {teamNames.map(team => (
+                    <td key={team}>
+                      {teams[team].attendance[i].present}/{teams[team].total}{' '}
+                      <small>({teams[team].attendance[i].rate}%)</small>
+                    </td>
+                  ))}
+                  <td>
+                    {staff.attendance[i].present}/{staff.total} <small>({staff.attendance[i].rate}%)</small>
+                  </td>
+                  <td>
+                    <strong>{session.present}/{camp.total}</strong> <small>({session.rate}%)</small>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className={styles.searchSection}>
+        <h3>Todo el campamento <small>(con staff)</small></h3>
+        <GroupBreakdown stats={camp} color="#0284c7" />
+      </div>
+
+      <div className={styles.teamsGrid}>
+        {teamNames.map(team => (
+          <div key={team} className={styles.teamCard} style={{ backgroundColor: colors[team]?.bg }}>
+            <div className={styles.teamHeader} style={{ backgroundColor: colors[team]?.color }}>
+              <h3 className={styles.teamTitle}>Equipo {team}</h3>
+              <div style={{ display: 'flex', gap: '0.3rem' }}>
+                {balance.teams[team] && (
+                  <span className={styles.teamCount}>Equilibrio {balance.teams[team].score}%</span>
+                )}
+                <span className={styles.teamCount}>{teams[team].total}</span>
+              </div>
+            </div>
+            <div className={styles.statTeamBody}>
+              <GroupBreakdown stats={teams[team]} color={colors[team]?.color} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
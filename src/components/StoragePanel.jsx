@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { X, Save, Download, Upload } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { STORAGE_BACKENDS, normalizeStorageConfig } from '../utils/storage';
+
+/**
+ * Dónde se guardan asignaciones, asistencia y configuración, con copia de respaldo en JSON
+ */
+export default function StoragePanel({ config, onSave, onDownload, onImport, onClose }) {
+  const [draft, setDraft] = useState(config);
+  const [copyCurrent, setCopyCurrent] = useState(true);
+
+  const changed = draft.backend !== config.backend || draft.restUrl !== config.restUrl;
+  const missingUrl = draft.backend === 'rest' && !draft.restUrl.trim();
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Almacenamiento</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className={styles.sourceList}>
+        {Object.entries(STORAGE_BACKENDS).map(([id, label]) => (
+          <label key={id} className={styles.sourceItem}>
+            <input
+              type="radio"
+              name="storage-backend"
+              checked={draft.backend === id}
+              onChange={() => setDraft(prev => ({ ...prev, backend: id }))}
+            />
+            <span className={styles.sourceLabel}>{label}</span>
+          </label>
+        ))}
+      </div>
+
+      {draft.backend === 'rest' && (
+        <div className={styles.inputGroup} style={{ marginTop: '0.5rem' }}>
+          <input
+            type="url"
+            value={draft.restUrl}
+            onChange={(e) => setDraft(prev => ({ ...prev, restUrl: e.target.value }))}
+            placeholder="/api/camp-data o https://mi-servidor/api/camp-data"
+          />
+        </div>
+      )}
+      {draft.backend === 'file' && (
+        <p className={styles.settingsHint}>
+          Se parte de {draft.fileUrl} (si existe) y los cambios quedan en este dispositivo.
+          Descarga el archivo para publicarlo o pasarlo a otro equipo.
+        </p>
+      )}
+
+      {changed && (
+        <div className={styles.settingsChecks} style={{ marginTop: '0.5rem' }}>
+          <label>
+            <input type="checkbox" checked={copyCurrent} onChange={(e) => setCopyCurrent(e.target.checked)} />
+            Copiar los datos actuales al nuevo almacenamiento
+          </label>
+        </div>
+      )}
+
+      <div className={styles.settingsActions}>
+        <button type="button" onClick={onDownload}>
+          <Download size={14} /> Descargar JSON
+        </button>
+        <label className={styles.fileBtn}>
+          <Upload size={14} /> Importar JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        </label>
+        <button
+          type="button"
+          onClick={() => onSave(normalizeStorageConfig(draft), copyCurrent)}
+          disabled={!changed || missingUrl}
+        >
+          <Save size={14} /> Usar este almacenamiento
+        </button>
+      </div>
+    </div>
+  );
+}
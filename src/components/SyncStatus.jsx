@@ -0,0 +1,32 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+
+const formatTime = (iso) =>
+  iso ? new Date(iso).toLocaleTimeString('es-BO', { hour: '2-digit', minute: '2-digit' }) : 'nunca';
+
+/**
+ * Estado de sincronización de la asistencia: cambios pendientes y última sincronización
+ */
+export default function SyncStatus({ pendingCount, lastSync, online, syncing, onRetry }) {
+  const pending = pendingCount > 0;
+  const Icon = !online ? CloudOff : syncing ? RefreshCw : Cloud;
+
+  return (
+    <div className={`${styles.syncStatus} ${pending ? styles.syncPending : ''}`}>
+      <Icon size={14} className={syncing ? styles.spinning : ''} />
+      <span>
+        {!online && 'Sin conexión · '}
+        {pending
+          ? `${pendingCount} ${pendingCount === 1 ? 'cambio' : 'cambios'} de asistencia sin sincronizar`
+          : 'Asistencia sincronizada'}
+        {' · '}última sincronización: {formatTime(lastSync)}
+      </span>
+      {pending && online && !syncing && (
+        <button type="button" className={styles.linkBtn} onClick={onRetry}>
+          Reintentar
+        </button>
+      )}
+    </div>
+  );
+}
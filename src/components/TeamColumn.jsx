@@ -0,0 +1,176 @@
+import React from 'react';
+import { Lock } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { getField } from '../utils/columnMapping';
+import { ATTRIBUTE_LABELS } from '../utils/balancing';
+import { isPresent } from '../utils/sessions';
+
+/**
+ * Tarjeta de un equipo con sus integrantes: mover entre equipos (arrastrar o menú),
+ * desbloquear movidos a mano y marcar asistencia en la sesión elegida. helpers son los
+ * nombres del staff que apoya al equipo. Con readOnly (página pública del equipo) solo
+ * muestra los nombres, sin datos personales ni controles
+ */
+export default function TeamColumn({
+  teamName,
+  members,
+  color,
+  balance,
+  teamNames,
+  mapping,
+  getKey,
+  isCoordinator,
+  locked,
+  attendance,
+  session,
+  dragKey,
+  dragTeam,
+  onDragKey,
+  onMove,
+  onUnlock,
+  onToggleAttendance,
+  helpers = [],
+  title,
+  readOnly = false
+}) {
+  return (
+    <div
+      className={`${styles.teamCard} ${dragKey && dragTeam !== teamName ? styles.dropTarget : ''}`}
+      style={{ backgroundColor: color.bg }}
+      onDragOver={(e) => {
+        if (dragKey && !readOnly) e.preventDefault();
+      }}
+      onDrop={(e) => {
+        e.preventDefault();
+        if (dragKey) onMove(dragKey, teamName);
+        onDragKey(null);
+      }}
+    >
+      <div className={styles.teamHeader} style={{ backgroundColor: color.color }}>
+        <h3 className={styles.teamTitle}>
+          <span
+            style={{
+              display: 'inline-block',
+              width: '6px',
+              height: '6px',
+              borderRadius: '50%',
+              backgroundColor: 'white',
+              marginRight: '6px'
+            }}
+          ></span>
+          {title || `Equipo ${teamName}`}
+        </h3>
+        <div style={{ display: 'flex', gap: '0.3rem' }}>
+          {balance && (
+            <span
+              className={styles.teamCount}
+              title={Object.entries(balance.breakdown)
+                .map(([attr, value]) => `${ATTRIBUTE_LABELS[attr]}: ${value}%`)
+                .join(' · ')}
+            >
+              Equilibrio {balance.score}%
+            </span>
+          )}
+          <span className={styles.teamCount}>{members.length}</span>
+        </div>
+      </div>
+      {helpers.length > 0 && (
+        <p className={styles.teamHelpers}>
+          <strong>Staff de apoyo:</strong> {helpers.join(', ')}
+        </p>
+      )}
+      <div className={styles.participantsList}>
+        {members.length === 0 ? (
+          <div className={styles.noParticipants}>Sin participantes</div>
+        ) : (
+          members.map(member => {
+            const nombre = getField(member, mapping, 'name') || '—';
+            const edad = getField(member, mapping, 'age') || '—';
+            const iglesia = getField(member, mapping, 'church') || '—';
+            const talla = getField(member, mapping, 'size') || '—';
+
+            // Verificar si es coordinador fijo
+            const esCoordinador = isCoordinator(member);
+            const key = getKey(member);
+            const bloqueado = !readOnly && !esCoordinador && locked[key] === teamName;
+            const presente = isPresent(attendance, session, key);
+            const movible = !readOnly && !esCoordinador;
+
+            return (
+              <div
+                key={key}
+                className={styles.participantCard}
+                draggable={movible}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setData('text/plain', key);
+                  onDragKey(key);
+                }}
+                onDragEnd={() => onDragKey(null)}
+                style={{ cursor: movible ? 'grab' : 'default' }}
+              >
+                <h4>
+                  {nombre}
+                  {bloqueado && (
+                    <button
+                      type="button"
+                      className={styles.lockBadge}
+                      onClick={() => onUnlock(key)}
+                      title="Movido a mano: no se reubica automáticamente. Clic para desbloquear"
+                    >
+                      <Lock size={10} />
+                    </button>
+                  )}
+                  {esCoordinador && (
+                    <span style={{
+                      fontSize: '0.7rem',
+                      color: '#ffffff',
+                      backgroundColor: '#1e40af',
+                      padding: '0.1rem 0.3rem',
+                      borderRadius: '10px',
+                      marginLeft: '0.3rem'
+                    }}>
+                      COORD
+                    </span>
+                  )}
+                </h4>
+                {!readOnly && (
+                  <div className={styles.participantData}>
+                    <div><strong>Edad:</strong> {edad}</div>
+                    <div><strong>Talla:</strong> {talla}</div>
+                    <div><strong>Iglesia:</strong> {iglesia}</div>
+                  </div>
+                )}
+                {movible && (
+                  <select
+                    className={styles.moveSelect}
+                    value=""
+                    onChange={(e) => onMove(key, e.target.value)}
+                    title="Mover a otro equipo"
+                  >
+                    <option value="">Mover a…</option>
+                    {teamNames.filter(t => t !== teamName).map(t => (
+                      <option key={t} value={t}>Equipo {t}</option>
+                    ))}
+                  </select>
+                )}
+                {/* Toggle de asistencia */}
+                {!readOnly && (
+                  <div
+                    className={styles.attendanceToggle}
+                    onClick={() => onToggleAttendance(member)}
+                  >
+                    <input type="checkbox" checked={presente} readOnly />
+                    <span className={presente ? styles.attendancePresent : styles.attendanceAbsent}>
+                      {presente ? 'Presente' : 'Ausente'}
+                    </span>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,154 +1,203 @@
-import React, { useState, useEffect } from 'react';
-import { Users, Upload, Download, RefreshCw, LinkIcon, Search, UserCheck } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Users, Upload, Download, RefreshCw, LinkIcon, Settings, Columns3, ListChecks, AlertTriangle, Shuffle, Lock, Copy, Database, LogOut, IdCard, Printer } from 'lucide-react';
 import * as XLSX from 'xlsx';
 import styles from './TeamDividir.module.css';
 import cjr28Logo from '../assets/28.png';
+import TeamSettings from './TeamSettings';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import DataSourcePanel from './DataSourcePanel';
+import ConstraintEditor from './ConstraintEditor';
+import DrawPanel from './DrawPanel';
+import IdentityReview from './IdentityReview';
+import DuplicatePanel from './DuplicatePanel';
+import StoragePanel from './StoragePanel';
+import SyncStatus from './SyncStatus';
+import SessionBar from './SessionBar';
+import AdminUnlock from './AdminUnlock';
+import NavBar from './NavBar';
+import TeamColumn from './TeamColumn';
+import RollCall from './RollCall';
+import StatsDashboard from './StatsDashboard';
+import ShirtReport from './ShirtReport';
+import PaymentsPanel from './PaymentsPanel';
+import ScoreboardPanel from './ScoreboardPanel';
+import Leaderboard from './Leaderboard';
+import CabinPanel from './CabinPanel';
+import WhatsAppNotifier from './WhatsAppNotifier';
+import CheckInStation from './CheckInStation';
+import ParticipantSearch from './ParticipantSearch';
+import StaffPanel from './StaffPanel';
+import {
+  normalizeTeamConfig,
+  loadLocalTeamConfig,
+  saveLocalTeamConfig,
+  getTeamNames,
+  getTeamColors,
+  getCoordinators,
+  renameAssignments
+} from '../utils/teamConfig';
+import {
+  resolveColumnMapping,
+  isMappingComplete,
+  getField,
+  loadLocalColumnMapping,
+  saveLocalColumnMapping
+} from '../utils/columnMapping';
+import { loadSources, dedupeParticipants, loadLocalSources, saveLocalSources } from '../utils/dataSources';
+import {
+  normalizeBalanceConfig,
+  loadLocalBalanceConfig,
+  saveLocalBalanceConfig,
+  getBalanceCategories,
+  distributeParticipants,
+  computeBalanceScores
+} from '../utils/balancing';
+import {
+  normalizeConstraints,
+  loadLocalConstraints,
+  saveLocalConstraints,
+  findViolations
+} from '../utils/constraints';
+import {
+  createSeed,
+  seededRandom,
+  hashAssignments,
+  diffAssignments,
+  createDrawRecord,
+  createLogEntry,
+  appendLog
+} from '../utils/draw';
+import {
+  buildParticipantKeys,
+  getParticipantKey,
+  getIdentity,
+  planKeyMigration,
+  relinkMap,
+  mergeMapKeys,
+  relinkRules,
+  mergeReviews
+} from '../utils/identity';
+import { findDuplicates } from '../utils/duplicates';
+import {
+  loadLocalStorageConfig,
+  saveLocalStorageConfig,
+  createBackend,
+  createCampStore,
+  mergeCampData,
+  downloadCampData,
+  readCampDataFile
+} from '../utils/storage';
+import {
+  SYNC_RETRY_MS,
+  loadSyncQueue,
+  saveSyncQueue,
+  enqueueChange,
+  applySyncQueue,
+  relinkSyncQueue,
+  loadLastSync,
+  saveLastSync
+} from '../utils/syncQueue';
+import {
+  normalizeSessions,
+  normalizeAttendance,
+  isPresent,
+  setPresence,
+  getAttendanceKeys,
+  getPresentAnywhere,
+  mapAttendanceSessions,
+  loadSelectedSession,
+  saveSelectedSession
+} from '../utils/sessions';
+import { loadAdminSession, saveAdminSession, loadAdminToken } from '../utils/adminAuth';
+import { buildCampStats, STATS_REFRESH_MS } from '../utils/stats';
+import { buildShirtReport } from '../utils/shirts';
+import {
+  PAYMENT_STATUSES,
+  normalizePayments,
+  getPayment,
+  setPayment,
+  getPaid,
+  getBalance
+} from '../utils/payments';
+import {
+  SCORE_REFRESH_MS,
+  createScoreEntry,
+  normalizeScores,
+  addScores,
+  undoScore,
+  renameScoreTeams
+} from '../utils/scoreboard';
+import { normalizeCabins, getCabinProfile, allocateCabins } from '../utils/cabins';
+import { DEFAULT_MESSAGE_TEMPLATE, toWhatsAppNumber } from '../utils/whatsapp';
+import { printBadges, printRosters, findKeyByBadgeCode } from '../utils/badges';
+import {
+  STAFF_ROLES,
+  createManualStaff,
+  normalizeManualStaff,
+  getStaffDuty,
+  setStaffDuty,
+  renameStaffTeams,
+  getTeamHelpers
+} from '../utils/staff';
+import { useRoute, routePath, linkProps, teamSlug, ADMIN_PAGES } from '../utils/router';
 
 // Configuración
 const INTERNAL_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1X1pIEOd_UPsGjDyBjYMDHqfbAJ6VrWVVDhr2BaAO634/edit?usp=sharing';
-const TEAM_NAMES = ['Rojo', 'Azul', 'Verde', 'Amarillo'];
-const COLORS = {
-  Rojo: { color: '#EF4444', bg: '#FEE2E2' },
-  Azul: { color: '#3B82F6', bg: '#DBEAFE' },
-  Verde: { color: '#10B981', bg: '#D1FAE5' },
-  Amarillo: { color: '#F59E0B', bg: '#FEF3C7' }
-};
-
-// Claves para localStorage (asistencia)
-const ATTENDANCE_KEY = 'team_attendance_v1';
-
-// Configuración de Gist (usar variables de entorno en Vite)
-const GIST_ID = import.meta.env.VITE_GIST_ID || 'b30794fa9e8b8f0aee0f63c2a3558022';
-const GITHUB_TOKEN = import.meta.env.VITE_GITHUB_TOKEN; // Puede ser undefined
-
-// Coordinadores fijos (no se reasignan)
-const COORDINADORES_FIJOS = {
-  'filadelfia huallpa': 'Rojo',
-  'rieles onarry tereba': 'Rojo',
-  'maria magdalena bustillos': 'Amarillo',
-  'jose luis calle': 'Amarillo',
-  'ana maria villarpando': 'Verde',
-  'israel condori quispe': 'Verde',
-  'Diana Rodas Aguilar': 'Azul',
-  'santos bustillos': 'Azul'
-};
-
-/**
- * Normaliza texto para búsqueda (elimina acentos, pasa a minúsculas, etc.)
- */
-const normalizeText = (text) => {
-  if (!text) return '';
-  return text
-    .toString()
-    .toLowerCase()
-    .normalize('NFD') // Descompone acentos
-    .replace(/[\u0300-\u036f]/g, '') // Elimina acentos
-    .trim();
-};
-
-/**
- * Convierte URL de Google Sheets a CSV
- */
-const convertGoogleSheetsUrl = (url) => {
-  if (url.includes('docs.google.com/spreadsheets')) {
-    const match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
-    if (match) {
-      const fileId = match[1];
-      return `https://docs.google.com/spreadsheets/d/${fileId}/gviz/tq?tqx=out:csv`;
-    }
-  }
-  return url;
-};
 
-/**
- * Genera clave única para participante
- */
-const getParticipantKey = (participant, headers) => {
-  const nameField = headers.find(h =>
-    h.toLowerCase().includes('nombre') && h.toLowerCase().includes('apellido')
-  );
-  if (nameField && participant[nameField]) {
-    return String(participant[nameField]).trim().toLowerCase();
-  }
-
-  const phoneField = headers.find(h =>
-    h.toLowerCase().includes('celular') || h.toLowerCase().includes('telefono')
-  );
-  if (phoneField && participant[phoneField]) {
-    return String(participant[phoneField]).trim();
-  }
-
-  return String(participant[headers[0]] || JSON.stringify(participant)).trim();
+// Datos del campamento guardados en el almacenamiento elegido (valores por defecto)
+const EMPTY_CAMP_DATA = {
+  assignments: {},
+  attendance: {},
+  sessions: [],
+  staff: [],
+  teamConfig: null,
+  columnMapping: null,
+  balanceConfig: null,
+  constraints: [],
+  locked: {},
+  identities: {},
+  identityReviews: [],
+  mergedDuplicates: {},
+  dismissedDuplicates: [],
+  draw: null,
+  drawLog: [],
+  payments: {},
+  paymentFee: 0,
+  scores: {},
+  cabins: [],
+  cabinAssignments: {},
+  cabinLocked: {},
+  messageTemplate: '',
+  notified: {},
+  manualStaff: {},
+  staffDuties: {}
 };
 
 /**
- * Carga datos desde Google Sheets
+ * Indica si el participante es staff (según la forma de pago)
  */
-const loadFromGoogleSheets = async (url) => {
-  const csvUrl = convertGoogleSheetsUrl(url);
-  const response = await fetch(csvUrl);
-  if (!response.ok) throw new Error('No se pudo acceder al archivo.');
-  const csvText = await response.text();
-
-  const Papa = (await import('https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm')).default;
-  const result = Papa.parse(csvText, {
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: false
-  });
-
-  if (!result.data || result.data.length === 0) {
-    throw new Error('El archivo está vacío o no tiene datos válidos.');
-  }
-
-  const headers = Object.keys(result.data[0]);
-  return { participants: result.data, headers };
-};
+const isStaffParticipant = (participant, mapping) =>
+  getField(participant, mapping, 'payment').toLowerCase().includes('staff');
 
 /**
- * Carga datos desde Excel local
+ * Devuelve el equipo fijo si el participante es coordinador de un equipo configurado
+ *
+ * @param {Object} coordinators - coordinador → equipo (ver getCoordinators)
  */
-const loadFromExcelFile = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        const sheet = workbook.Sheets[workbook.SheetNames[0]];
-        const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-
-        if (jsonData.length < 2) throw new Error('Archivo vacío o sin encabezados.');
-
-        const headers = jsonData[0].map(String);
-        const rows = jsonData.slice(1).filter(row => row.some(cell => cell !== undefined && cell !== null && cell !== ''));
-
-        const participants = rows.map(row => {
-          const obj = {};
-          headers.forEach((header, i) => {
-            obj[header] = row[i] !== undefined ? String(row[i]) : '';
-          });
-          return obj;
-        });
-
-        resolve({ participants, headers });
-      } catch (err) {
-        reject(err);
-      }
-    };
-    reader.onerror = () => reject(new Error('Error al leer el archivo.'));
-    reader.readAsArrayBuffer(file);
-  });
+const getFixedTeam = (participant, mapping, coordinators) => {
+  const nombreLower = getField(participant, mapping, 'name').toLowerCase();
+  if (!nombreLower) return null;
+  const entry = Object.entries(coordinators).find(([coord]) => nombreLower.includes(coord.toLowerCase()));
+  return entry ? entry[1] : null;
 };
 
 /**
- * Asigna equipos respetando asignaciones existentes y coordinadores fijos
+ * Asigna equipos respetando asignaciones existentes, coordinadores fijos, personas movidas a mano
+ * (bloqueadas) y reglas juntos/separados
  */
-const assignTeams = (participants, headers, existingAssignments = {}) => {
+const assignTeams = (participants, headers, existingAssignments = {}, { teamNames, coordinators = {}, mapping, balanceConfig, constraints = [], locked = {}, random }) => {
   // Detectar columna de forma de pago
-  const formaPagoColumn = headers.find(h => 
-    h === 'SELECCIONA LA FORMA DE PAGO REALIZADO'
-  );
+  const formaPagoColumn = mapping.payment;
 
   // Separar staff y no staff
   const staffList = [];
@@ -161,18 +210,9 @@ const assignTeams = (participants, headers, existingAssignments = {}) => {
       return;
     }
 
-    const formaPago = p[formaPagoColumn] || '';
-    const isStaff = formaPago.toLowerCase().includes('staff');
-
-    if (isStaff) {
+    if (isStaffParticipant(p, mapping)) {
       // Verificar si es coordinador fijo (no excluirlo)
-      const nombre = p['NOMBRE Y APELLIDO'] || '';
-      const nombreLower = nombre.toLowerCase();
-      const esCoordinadorFijo = Object.keys(COORDINADORES_FIJOS).some(coord => 
-        nombreLower.includes(coord.toLowerCase())
-      );
-
-      if (esCoordinadorFijo) {
+      if (getFixedTeam(p, mapping, coordinators)) {
         // Es staff PERO también coordinador fijo → incluirlo
         noStaffList.push(p);
       } else {
@@ -193,15 +233,8 @@ const assignTeams = (participants, headers, existingAssignments = {}) => {
   const otrosParticipantes = [];
 
   participantesFiltrados.forEach(p => {
-    const nombre = p['NOMBRE Y APELLIDO'] || '';
-    const nombreLower = nombre.toLowerCase();
-
-    // Buscar si es coordinador fijo (por nombre completo o parcial)
-    const esCoordinador = Object.keys(COORDINADORES_FIJOS).some(coord => 
-      nombreLower.includes(coord.toLowerCase())
-    );
-
-    if (esCoordinador) {
+    // Buscar si es coordinador fijo (por nombre completo o parcial) de un equipo configurado
+    if (getFixedTeam(p, mapping, coordinators)) {
       coordinadores.push(p);
     } else {
       otrosParticipantes.push(p);
@@ -212,197 +245,82 @@ const assignTeams = (participants, headers, existingAssignments = {}) => {
   const assignments = { ...existingAssignments };
 
   coordinadores.forEach(p => {
-    const nombre = p['NOMBRE Y APELLIDO'] || '';
-    const nombreLower = nombre.toLowerCase();
-
-    // Encontrar equipo fijo
-    const equipoFijo = Object.entries(COORDINADORES_FIJOS).find(([coord,]) => 
-      nombreLower.includes(coord.toLowerCase())
-    );
-
-    if (equipoFijo) {
-      const key = getParticipantKey(p, headers);
-      assignments[key] = equipoFijo[1]; // equipoFijo[1] = 'Rojo', 'Azul', etc.
-    }
+    const key = getParticipantKey(p, headers, mapping);
+    assignments[key] = getFixedTeam(p, mapping, coordinators); // 'Rojo', 'Azul', etc.
   });
 
-  // Separar otros participantes en asignados y no asignados
+  // Separar otros participantes en bloqueados, asignados y no asignados
+  const bloqueados = [];
+  const otrosAsignados = [];
   const otrosNoAsignados = [];
   otrosParticipantes.forEach(p => {
-    const key = getParticipantKey(p, headers);
-    if (assignments[key]) {
-      // Ya tiene asignación (de Gist o anterior)
+    const key = getParticipantKey(p, headers, mapping);
+    if (teamNames.includes(locked[key])) {
+      // Movido a mano: se queda en ese equipo igual que un coordinador fijo
+      assignments[key] = locked[key];
+      bloqueados.push({ participant: p, team: locked[key], fixed: true });
+    } else if (teamNames.includes(assignments[key])) {
+      // Ya tiene asignación (guardada o anterior) a un equipo vigente
+      otrosAsignados.push({ participant: p, team: assignments[key] });
     } else {
       otrosNoAsignados.push(p);
     }
   });
 
-  // Si no hay asignaciones previas (primera vez), hacer división balanceada
-  if (Object.keys(existingAssignments).length === 0) {
-    // Contar cuántos coordinadores hay en cada equipo
-    const coordinadoresPorEquipo = TEAM_NAMES.reduce((acc, name) => {
-      acc[name] = coordinadores.filter(p => {
-        const nombre = p['NOMBRE Y APELLIDO'] || '';
-        const nombreLower = nombre.toLowerCase();
-        const equipoFijo = Object.entries(COORDINADORES_FIJOS).find(([coord,]) => 
-          nombreLower.includes(coord.toLowerCase())
-        );
-        return equipoFijo && equipoFijo[1] === name;
-      }).length;
-      return acc;
-    }, {});
-
-    const hombres = [];
-    const mujeres = [];
-    const otros = [];
-
-    otrosNoAsignados.forEach(p => {
-      const genero = (p['SELECCIONA TU GENERO'] || '').toLowerCase().trim();
-      if (genero.includes('masculino') || genero.includes('hombre') || genero === 'm') {
-        hombres.push(p);
-      } else if (genero.includes('femenino') || genero.includes('mujer') || genero === 'f') {
-        mujeres.push(p);
-      } else {
-        otros.push(p);
-      }
-    });
-
-    const shuffle = (arr) => {
-      const a = [...arr];
-      for (let i = a.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [a[i], a[j]] = [a[j], a[i]];
-      }
-      return a;
-    };
-
-    const allShuffled = [
-      ...shuffle(hombres),
-      ...shuffle(mujeres),
-      ...shuffle(otros)
-    ];
-
-    // Distribuir equilibradamente, considerando coordinadores fijos
-    allShuffled.forEach((person, i) => {
-      // Contar solo los participantes no coordinadores en cada equipo
-      const participantesPorEquipo = TEAM_NAMES.reduce((acc, name) => {
-        acc[name] = Object.values(assignments).filter(team => team === name).length;
-        return acc;
-      }, {});
-
-      // Encontrar el equipo con menos participantes (considerando coordinadores)
-      const smallestTeam = TEAM_NAMES.reduce((a, b) => 
-        (participantesPorEquipo[a] + coordinadoresPorEquipo[a]) <= 
-        (participantesPorEquipo[b] + coordinadoresPorEquipo[b]) ? a : b
-      );
-
-      const key = getParticipantKey(person, headers);
-      assignments[key] = smallestTeam;
-    });
-  } else {
-    // Si ya hay asignaciones, solo asignar nuevos al equipo más pequeño
-    // Excluir coordinadores fijos de la cuenta
-    const teamCounts = TEAM_NAMES.reduce((acc, name) => {
-      acc[name] = Object.values(assignments).filter(team => team === name).length;
-      return acc;
-    }, {});
-
-    otrosNoAsignados.forEach(p => {
-      const key = getParticipantKey(p, headers);
-      const smallestTeam = TEAM_NAMES.reduce((a, b) => (teamCounts[a] <= teamCounts[b] ? a : b));
-      assignments[key] = smallestTeam;
-      teamCounts[smallestTeam]++;
-    });
-  }
+  // Repartir a los nuevos equilibrando género, edad e iglesia respecto a lo que ya hay
+  // (coordinadores fijos incluidos)
+  const placed = [
+    ...coordinadores.map(p => ({ participant: p, team: getFixedTeam(p, mapping, coordinators), fixed: true })),
+    ...bloqueados,
+    ...otrosAsignados
+  ];
+  Object.assign(assignments, distributeParticipants({
+    pending: otrosNoAsignados,
+    placed,
+    teamNames,
+    getKey: p => getParticipantKey(p, headers, mapping),
+    getCategories: p => getBalanceCategories(p, mapping, balanceConfig),
+    config: balanceConfig,
+    rules: constraints,
+    random
+  }));
 
   // Construir equipos
-  const teams = TEAM_NAMES.reduce((acc, name) => {
+  const teams = teamNames.reduce((acc, name) => {
     acc[name] = [];
     return acc;
   }, {});
 
+  const presentAssignments = {};
   participantesFiltrados.forEach(p => {
-    const key = getParticipantKey(p, headers);
+    const key = getParticipantKey(p, headers, mapping);
     const team = assignments[key];
-    if (team && TEAM_NAMES.includes(team)) {
+    if (team && teamNames.includes(team)) {
       teams[team].push(p);
+      presentAssignments[key] = team;
     }
   });
 
-  return { teams, assignments, staff: staffList };
-};
+  // Reglas que no se pudieron cumplir (por ejemplo, dos coordinadores fijos "separados" en el mismo equipo)
+  const violations = findViolations(constraints, presentAssignments);
 
-/**
- * Carga asignaciones y asistencia desde GitHub Gist
- */
-const loadAssignmentsFromGist = async () => {
-  if (!GITHUB_TOKEN) {
-    // No mostrar advertencia aquí, solo retornar vacío
-    return { assignments: {}, attendance: {}, staff: [] };
-  }
+  // Participantes que entran al sorteo (sin staff)
+  const rosterKeys = participantesFiltrados.map(p => getParticipantKey(p, headers, mapping));
 
-  try {
-    const response = await fetch(`https://api.github.com/gists/${GIST_ID}`, {
-      headers: { 'Authorization': `token ${GITHUB_TOKEN}` }
-    });
-    if (!response.ok) throw new Error('No se pudo cargar el Gist');
-    
-    const data = await response.json();
-    const fileContent = data.files['team-assignments.json']?.content;
-    
-    if (!fileContent) return { assignments: {}, attendance: {}, staff: [] };
-    
-    const parsed = JSON.parse(fileContent);
-    return {
-      assignments: parsed.assignments || {},
-      attendance: parsed.attendance || {},
-      staff: parsed.staff || []
-    };
-  } catch (err) {
-    console.warn('Usando datos vacíos:', err.message);
-    return { assignments: {}, attendance: {}, staff: [] };
-  }
+  return { teams, assignments, staff: staffList, violations, rosterKeys };
 };
 
 /**
- * Guarda asignaciones, asistencia y staff en GitHub Gist
+ * Opciones de assignTeams a partir de la configuración del evento
  */
-const saveAssignmentsToGist = async (assignments, attendance, staff) => {
-  if (!GITHUB_TOKEN) {
-    // No mostrar advertencia aquí, solo salir silenciosamente
-    return;
-  }
-
-  try {
-    const gistData = {
-      assignments,
-      attendance,
-      staff
-    };
-
-    const response = await fetch(`https://api.github.com/gists/${GIST_ID}`, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `token ${GITHUB_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        description: 'Asignaciones de equipos, asistencia y staff para el campamento',
-        files: {
-          'team-assignments.json': {
-            content: JSON.stringify(gistData, null, 2)
-          }
-        }
-      })
-    });
-    
-    if (!response.ok) throw new Error('No se pudo guardar en el Gist');
-    console.log('Asignaciones, asistencia y staff guardados en Gist');
-  } catch (err) {
-    console.error('Error al guardar en Gist:', err);
-    // No mostrar alerta aquí para evitar interrupciones
-  }
-};
+const getAssignOptions = ({ teamConfig, columnMapping, balanceConfig, constraints, locked }) => ({
+  teamNames: getTeamNames(teamConfig),
+  coordinators: getCoordinators(teamConfig),
+  mapping: columnMapping,
+  balanceConfig,
+  constraints,
+  locked
+});
 
 export default function TeamDivider() {
   const [participants, setParticipants] = useState([]);
@@ -410,43 +328,458 @@ export default function TeamDivider() {
   const [teams, setTeams] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [searchResult, setSearchResult] = useState(null);
   const [attendance, setAttendance] = useState({});
+  // Asistencia más reciente, para que dos marcas seguidas (antes de volver a dibujar) no se pisen
+  const attendanceRef = useRef(attendance);
+  useEffect(() => {
+    attendanceRef.current = attendance;
+  }, [attendance]);
+  const [sessions, setSessions] = useState(() => normalizeSessions([]));
+  const [selectedSession, setSelectedSession] = useState(loadSelectedSession);
+  // Modo público (solo búsqueda) o administrador (asistencia, detalles, reasignación y exportación)
+  const [isAdmin, setIsAdmin] = useState(loadAdminSession);
+  const [showUnlock, setShowUnlock] = useState(false);
+  const { route, navigate } = useRoute();
   const [staff, setStaff] = useState([]);
+  const [assignments, setAssignments] = useState({});
+  const [teamConfig, setTeamConfig] = useState(loadLocalTeamConfig);
+  const [showSettings, setShowSettings] = useState(false);
+  const [columnMapping, setColumnMapping] = useState({});
+  const [showMapping, setShowMapping] = useState(false);
+  const [pendingRoster, setPendingRoster] = useState(null);
+  const [sources, setSources] = useState(() => loadLocalSources(INTERNAL_SHEET_URL));
+  const [showSources, setShowSources] = useState(false);
+  const [balanceConfig, setBalanceConfig] = useState(loadLocalBalanceConfig);
+  const [constraints, setConstraints] = useState(loadLocalConstraints);
+  const [violations, setViolations] = useState([]);
+  const [showConstraints, setShowConstraints] = useState(false);
+  const [draw, setDraw] = useState(null);
+  const [drawLog, setDrawLog] = useState([]);
+  const [showDraw, setShowDraw] = useState(false);
+  const [locked, setLocked] = useState({});
+  const [dragKey, setDragKey] = useState(null);
+  const [identities, setIdentities] = useState({});
+  const [identityReviews, setIdentityReviews] = useState([]);
+  const [showIdentityReview, setShowIdentityReview] = useState(false);
+  // Los equipos todavía no se sortearon y este visitante no es administrador
+  const [notDrawn, setNotDrawn] = useState(false);
+  // Personas a revisar por duplicados ({ key, identity }); se comparan solo en modo administrador
+  const [duplicatePool, setDuplicatePool] = useState([]);
+  const [mergedDuplicates, setMergedDuplicates] = useState({});
+  const [dismissedDuplicates, setDismissedDuplicates] = useState([]);
+  const [payments, setPayments] = useState({});
+  const [paymentFee, setPaymentFee] = useState(0);
+  const [scores, setScores] = useState({});
+  const [cabins, setCabins] = useState([]);
+  const [cabinAssignments, setCabinAssignments] = useState({});
+  const [cabinLocked, setCabinLocked] = useState({});
+  const [messageTemplate, setMessageTemplate] = useState(DEFAULT_MESSAGE_TEMPLATE);
+  const [notified, setNotified] = useState({});
+  const [manualStaff, setManualStaff] = useState({});
+  const [staffDuties, setStaffDuties] = useState({});
+  const [showDuplicates, setShowDuplicates] = useState(false);
+
+  const [storageConfig, setStorageConfig] = useState(loadLocalStorageConfig);
+  const [store, setStore] = useState(() => createCampStore(createBackend(storageConfig), EMPTY_CAMP_DATA));
+  const [showStorage, setShowStorage] = useState(false);
+  // Fecha de la copia local si los datos no se pudieron leer al abrir (sin conexión)
+  const [cachedAt, setCachedAt] = useState(null);
+  // Fecha de la copia local de la lista de inscritos si las planillas no se pudieron leer
+  const [rosterCachedAt, setRosterCachedAt] = useState(null);
+  // Última lectura de los datos guardados desde el panel de estadísticas
+  const [statsRefreshedAt, setStatsRefreshedAt] = useState(null);
+  // El servidor rechazó el guardado: 'pin' si no aceptó la clave de esta pestaña,
+  // 'readOnly' si no tiene clave configurada (false si guarda bien)
+  const [saveRejected, setSaveRejected] = useState(false);
+
+  // Último estado conocido de los datos guardados, para guardar cambios parciales sin perder el resto
+  const campDataRef = useRef({ ...EMPTY_CAMP_DATA });
+  // Se vuelve true cuando los datos guardados ya se cargaron (antes no se puede sincronizar)
+  const campDataLoadedRef = useRef(false);
+
+  // Cambios de asistencia que todavía no llegaron al almacenamiento
+  const queueRef = useRef(loadSyncQueue());
+  const [pendingCount, setPendingCount] = useState(() => loadSyncQueue().length);
+  const [lastSync, setLastSync] = useState(loadLastSync);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+
+  const TEAM_NAMES = getTeamNames(teamConfig);
+  const COLORS = getTeamColors(teamConfig);
+
+  // La búsqueda de duplicados solo sirve a los administradores: en modo público no se calcula
+  const duplicates = useMemo(
+    () => (isAdmin ? findDuplicates(duplicatePool, dismissedDuplicates) : []),
+    [isAdmin, duplicatePool, dismissedDuplicates]
+  );
 
   /**
-   * Carga datos al iniciar
+   * Guarda los campos que cambiaron, conservando los demás. Si otro dispositivo guardó
+   * mientras tanto, sus cambios se mezclan y la asistencia mostrada se actualiza
    */
+  const updateQueue = useCallback((queue) => {
+    queueRef.current = queue;
+    saveSyncQueue(queue);
+    setPendingCount(queue.length);
+  }, []);
+
+  /**
+   * Muestra los datos mezclados con los de otros dispositivos. Lo agregado allá también se
+   * muestra aquí, para que el próximo guardado no lo tome como eliminado
+   */
+  const showMergedData = useCallback((current) => {
+    setAttendance(current.attendance);
+    setSessions(normalizeSessions(current.sessions));
+    setScores(normalizeScores(current.scores));
+    setDrawLog(current.drawLog);
+    setDismissedDuplicates(current.dismissedDuplicates);
+    setIdentityReviews(current.identityReviews);
+    setCabins(normalizeCabins(current.cabins));
+    setPayments(normalizePayments(current.payments));
+    setCabinAssignments(current.cabinAssignments);
+    setCabinLocked(current.cabinLocked);
+    setNotified(current.notified);
+    setManualStaff(normalizeManualStaff(current.manualStaff));
+    setStaffDuties(current.staffDuties);
+  }, []);
+
+  const persistCampData = useCallback(async (changes) => {
+    campDataRef.current = { ...campDataRef.current, ...changes };
+    const sent = campDataRef.current;
+    const sentChanges = queueRef.current;
+    if (!store.backend.ready) return false;
+
+    setSyncing(true);
+    try {
+      const { data, merged } = await store.save(sent);
+      setSaveRejected(false);
+
+      // Todo lo pendiente al momento de enviar ya quedó guardado
+      updateQueue(queueRef.current.filter(op => !sentChanges.includes(op)));
+      const at = new Date().toISOString();
+      setLastSync(at);
+      saveLastSync(at);
+
+      if (merged) {
+        // Conservar lo que cambió aquí durante el guardado y sumar lo que llegó de otros
+        campDataRef.current = mergeCampData(sent, campDataRef.current, data);
+        showMergedData(campDataRef.current);
+      }
+      return true;
+    } catch (err) {
+      // En modo público el servidor no acepta guardados: es lo esperado
+      if (err.unauthorized && !loadAdminToken()) return false;
+      if (err.unauthorized) setSaveRejected(err.readOnly ? 'readOnly' : 'pin');
+      console.error('Error al guardar los datos:', err);
+      // No mostrar alerta aquí: los cambios de asistencia quedan en cola y se reintentan
+      return false;
+    } finally {
+      setSyncing(false);
+    }
+  }, [store, updateQueue, showMergedData]);
+
+  /**
+   * Trae lo que marcaron otros dispositivos sin guardar nada (para el panel de estadísticas)
+   */
+  const refreshCampData = useCallback(async () => {
+    if (!campDataLoadedRef.current || !store.backend.ready || !navigator.onLine) return;
+    const sent = campDataRef.current;
+    try {
+      const { data, changed } = await store.refresh(sent);
+      setStatsRefreshedAt(new Date());
+      if (!changed) return;
+      campDataRef.current = mergeCampData(sent, campDataRef.current, data);
+      showMergedData(campDataRef.current);
+    } catch (err) {
+      console.warn('No se pudieron actualizar los datos:', err.message);
+    }
+  }, [store, showMergedData]);
+
+  // Con el panel de estadísticas abierto, sumar cada tanto la asistencia marcada en otros dispositivos
+  const statsOpen = isAdmin && route.page === 'stats';
   useEffect(() => {
-    const loadData = async () => {
+    if (!statsOpen) return undefined;
+    refreshCampData();
+    const timer = setInterval(refreshCampData, STATS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [statsOpen, refreshCampData]);
+
+  /**
+   * Reintenta guardar si quedaron cambios de asistencia sin sincronizar
+   */
+  const flushQueue = useCallback(() => {
+    if (!campDataLoadedRef.current || queueRef.current.length === 0 || !navigator.onLine) return;
+    persistCampData({});
+  }, [persistCampData]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      flushQueue();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [flushQueue]);
+
+  /**
+   * En la pantalla del marcador, leer los puntos cargados desde otros dispositivos
+   */
+  useEffect(() => {
+    if (route.page !== 'leaderboard') return undefined;
+
+    const refresh = async () => {
       try {
-        setLoading(true);
-        
-        // Cargar participantes
-        const { participants: data, headers: cols } = await loadFromGoogleSheets(INTERNAL_SHEET_URL);
-        setHeaders(cols);
-        setParticipants(data);
+        const { data } = await store.backend.load();
+        if (data) setScores(normalizeScores(data.scores));
+      } catch (err) {
+        console.warn('No se pudo actualizar el marcador:', err.message);
+      }
+    };
+    const timer = setInterval(refresh, SCORE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [route.page, store]);
 
-        // Cargar asignaciones, asistencia y staff desde Gist
-        const { assignments: existingAssignments, attendance: existingAttendance, staff: existingStaff } = await loadAssignmentsFromGist();
+  useEffect(() => {
+    if (pendingCount === 0) return undefined;
+    const timer = setInterval(flushQueue, SYNC_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [pendingCount, flushQueue]);
 
-        // Asignar equipos
-        const { teams: newTeams, assignments, staff: staffList } = assignTeams(data, cols, existingAssignments);
-        setTeams(newTeams);
-        setStaff(staffList);
+  /**
+   * Lee los datos guardados; sin conexión usa la copia de la última lectura. Sin datos ni copia
+   * falla: sortear sobre datos vacíos pisaría los equipos reales al volver la conexión
+   */
+  const loadCampData = useCallback(async () => {
+    try {
+      const { data, cachedAt: copyDate } = await store.load();
+      setCachedAt(copyDate);
+      return data;
+    } catch (err) {
+      console.error('No se pudieron leer los datos guardados:', err);
+      throw new Error('No se pudieron leer los datos del campamento y este dispositivo no tiene una copia. Revisa la conexión y vuelve a intentar.');
+    }
+  }, [store]);
 
-        // Combinar asistencia existente con la local (por si alguien marcó asistencia localmente)
-        const localAttendance = JSON.parse(localStorage.getItem(ATTENDANCE_KEY) || '{}');
-        const combinedAttendance = { ...existingAttendance, ...localAttendance };
-        setAttendance(combinedAttendance);
+  /**
+   * Aplica el resultado de assignTeams al estado
+   */
+  const showAssignment = useCallback(({ teams: newTeams, assignments, staff: staffList, violations: broken }) => {
+    setTeams(newTeams);
+    setStaff(staffList);
+    setAssignments(assignments);
+    setViolations(broken);
+  }, []);
 
-        // Guardar en Gist (asignaciones + asistencia + staff)
-        await saveAssignmentsToGist(assignments, combinedAttendance, staffList);
+  /**
+   * Asigna equipos con el mapeo confirmado y guarda todo (almacenamiento + localStorage)
+   */
+  const applyRoster = useCallback(async ({ data, cols, remote: saved, settings: savedSettings }) => {
+    const mapping = savedSettings.columnMapping;
+    buildParticipantKeys(data, cols, mapping);
+
+    // Los duplicados ya fusionados no cuentan como participantes
+    const roster = data.filter(p => !saved.mergedDuplicates[getParticipantKey(p, cols, mapping)]);
+    setParticipants(roster);
+
+    // Cambios de asistencia hechos en este dispositivo que todavía no se guardaron
+    const pendingChanges = queueRef.current;
+
+    // Vincular los datos guardados con claves antiguas (por ejemplo, por nombre) a la clave actual
+    const people = roster.map(p => ({ key: getParticipantKey(p, cols, mapping), identity: getIdentity(p, mapping) }));
+    const savedAttendance = normalizeAttendance(saved.attendance);
+    const knownKeys = new Set([
+      ...Object.keys(saved.assignments),
+      ...getAttendanceKeys(savedAttendance),
+      ...pendingChanges.map(op => op.key),
+      ...Object.keys(saved.identities),
+      ...Object.keys(saved.payments),
+      ...Object.keys(saved.cabinAssignments),
+      ...Object.keys(saved.staffDuties)
+    ]);
+    const { links, reviews } = planKeyMigration({ people, knownKeys, identities: saved.identities });
+    const pendingReviews = mergeReviews(saved.identityReviews, reviews, new Set(people.map(p => p.key)), links);
+    const knownIdentities = { ...saved.identities, ...Object.fromEntries(people.map(p => [p.key, p.identity])) };
+    Object.keys(links).forEach(k => delete knownIdentities[k]);
+
+    const remote = {
+      ...saved,
+      assignments: relinkMap(saved.assignments, links),
+      attendance: applySyncQueue(
+        mapAttendanceSessions(savedAttendance, session => relinkMap(session, links)),
+        relinkSyncQueue(pendingChanges, links)
+      ),
+      sessions: normalizeSessions(saved.sessions),
+      payments: normalizePayments(relinkMap(saved.payments, links)),
+      cabinAssignments: relinkMap(saved.cabinAssignments, links),
+      cabinLocked: relinkMap(saved.cabinLocked, links),
+      notified: relinkMap(saved.notified, links),
+      staffDuties: relinkMap(saved.staffDuties, links)
+    };
+    updateQueue(relinkSyncQueue(pendingChanges, links));
+    const settings = {
+      ...savedSettings,
+      constraints: normalizeConstraints(relinkRules(savedSettings.constraints, links)),
+      locked: relinkMap(savedSettings.locked, links)
+    };
+    setConstraints(settings.constraints);
+    saveLocalConstraints(settings.constraints);
+    setLocked(settings.locked);
+    setIdentities(knownIdentities);
+    setIdentityReviews(pendingReviews);
+    setMergedDuplicates(saved.mergedDuplicates);
+    setDismissedDuplicates(saved.dismissedDuplicates);
+    setDuplicatePool(people);
+    setPayments(remote.payments);
+    setPaymentFee(Number(saved.paymentFee) || 0);
+    setScores(normalizeScores(saved.scores));
+    setCabins(normalizeCabins(saved.cabins));
+    setCabinAssignments(remote.cabinAssignments);
+    setCabinLocked(remote.cabinLocked);
+    setMessageTemplate(saved.messageTemplate || DEFAULT_MESSAGE_TEMPLATE);
+    setNotified(remote.notified);
+    setManualStaff(normalizeManualStaff(saved.manualStaff));
+    setStaffDuties(remote.staffDuties);
+
+    setAttendance(remote.attendance);
+    setSessions(remote.sessions);
+    setSelectedSession(prev => (remote.sessions.some(s => s.id === prev) ? prev : remote.sessions[0].id));
+    campDataRef.current = { ...campDataRef.current, ...remote };
+    campDataLoadedRef.current = true;
+
+    // Sin asignaciones previas es el sorteo inicial, con una semilla nueva. Solo lo hace (y lo
+    // guarda) un administrador: en modo público cada visita sortearía distinto sin guardarlo
+    const isFirstDraw = Object.keys(remote.assignments).length === 0;
+    const waitingForDraw = isFirstDraw && !loadAdminSession();
+    setNotDrawn(waitingForDraw);
+    if (waitingForDraw) {
+      showAssignment({
+        teams: Object.fromEntries(getTeamNames(settings.teamConfig).map(team => [team, []])),
+        assignments: {},
+        staff: [],
+        violations: []
+      });
+      setDraw(null);
+      setDrawLog(remote.drawLog);
+      return;
+    }
+
+    const seed = isFirstDraw || !remote.draw ? createSeed() : remote.draw.seed;
+    const random = seededRandom(isFirstDraw ? seed : `${seed}:${Object.keys(remote.assignments).length}`);
+
+    const result = assignTeams(roster, cols, remote.assignments, { ...getAssignOptions(settings), random });
+    showAssignment(result);
+
+    // Registro de auditoría: sorteo inicial o nuevos inscritos ubicados automáticamente
+    let currentDraw = remote.draw;
+    let log = remote.drawLog;
+    const changed = diffAssignments(remote.assignments, result.assignments, result.rosterKeys);
+    if (isFirstDraw) {
+      currentDraw = createDrawRecord({ seed, rosterKeys: result.rosterKeys, settings, assignments: result.assignments });
+      log = appendLog(log, createLogEntry({
+        type: 'draw',
+        seed,
+        rosterKeys: result.rosterKeys,
+        constraints: settings.constraints,
+        detail: 'sorteo inicial'
+      }));
+    } else if (changed.length > 0) {
+      log = appendLog(log, createLogEntry({
+        type: 'incremental',
+        seed,
+        rosterKeys: result.rosterKeys,
+        constraints: settings.constraints,
+        detail: `${changed.length} ubicados automáticamente`
+      }));
+    }
+    setDraw(currentDraw);
+    setDrawLog(log);
+
+    // Guardar (asignaciones + asistencia + staff + configuración)
+    await persistCampData({
+      ...settings,
+      assignments: result.assignments,
+      attendance: remote.attendance,
+      sessions: remote.sessions,
+      staff: result.staff,
+      identities: knownIdentities,
+      identityReviews: pendingReviews,
+      draw: currentDraw,
+      drawLog: log,
+      payments: remote.payments,
+      cabinAssignments: remote.cabinAssignments,
+      cabinLocked: remote.cabinLocked,
+      notified: remote.notified,
+      staffDuties: remote.staffDuties
+    });
+  }, [persistCampData, showAssignment, updateQueue]);
 
-        // Guardar asignaciones en localStorage para búsqueda
-        localStorage.setItem('team_assignments_v13', JSON.stringify(assignments));
+  /**
+   * Carga participantes y datos guardados; pide confirmar columnas si no hay un mapeo válido
+   */
+  const loadRoster = useCallback(async (rosterSources) => {
+    // Cargar asignaciones, asistencia, staff y configuración guardados
+    const remote = await loadCampData();
+
+    // Cargar participantes de las fuentes activas
+    const { participants: rows, headers: cols, cachedAt: rosterCopyDate } = await loadSources(rosterSources);
+    setRosterCachedAt(rosterCopyDate);
+
+    // La configuración guardada tiene prioridad sobre la local
+    const config = remote.teamConfig ? normalizeTeamConfig(remote.teamConfig) : loadLocalTeamConfig();
+    setTeamConfig(config);
+    saveLocalTeamConfig(config);
+
+    const balance = remote.balanceConfig ? normalizeBalanceConfig(remote.balanceConfig) : loadLocalBalanceConfig();
+    setBalanceConfig(balance);
+    saveLocalBalanceConfig(balance);
+
+    const rules = remote.constraints.length > 0 ? normalizeConstraints(remote.constraints) : loadLocalConstraints();
+    setConstraints(rules);
+    saveLocalConstraints(rules);
+
+    // Mapeo de columnas: el guardado (almacenamiento o local) si sigue siendo válido, si no detectar
+    const savedMapping = remote.columnMapping || loadLocalColumnMapping();
+    const mapping = resolveColumnMapping(savedMapping, cols);
+    setColumnMapping(mapping);
+
+    // Al combinar varias fuentes, cada persona se cuenta una sola vez
+    const data = dedupeParticipants(rows, buildParticipantKeys(rows, cols, mapping));
+    setHeaders(cols);
+    setParticipants(data);
+
+    const settings = {
+      teamConfig: config,
+      columnMapping: mapping,
+      balanceConfig: balance,
+      constraints: rules,
+      locked: remote.locked
+    };
 
+    if (!savedMapping || !isMappingComplete(savedMapping, cols)) {
+      // Esperar a que se confirme el mapeo antes de asignar equipos
+      setPendingRoster({ data, cols, remote, settings });
+      setShowMapping(true);
+      return data;
+    }
+
+    await applyRoster({ data, cols, remote, settings });
+    return data;
+  }, [applyRoster, loadCampData]);
+
+  /**
+   * Carga datos al iniciar
+   */
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        setLoading(true);
+        await loadRoster(loadLocalSources(INTERNAL_SHEET_URL));
       } catch (err) {
         console.error('Error al cargar datos:', err);
         setError(err.message || 'Error al cargar el archivo.');
@@ -456,33 +789,15 @@ export default function TeamDivider() {
     };
 
     loadData();
-  }, []);
+  }, [loadRoster]);
 
   /**
-   * Recargar desde Google Sheets
+   * Recargar desde las fuentes de datos
    */
-  const reloadFromSheet = async () => {
+  const reloadFromSheet = async (rosterSources = sources) => {
     try {
       setLoading(true);
-      const { participants: data, headers: cols } = await loadFromGoogleSheets(INTERNAL_SHEET_URL);
-      setHeaders(cols);
-      setParticipants(data);
-
-      const { assignments: existingAssignments, attendance: existingAttendance, staff: existingStaff } = await loadAssignmentsFromGist();
-      const { teams: newTeams, assignments, staff: staffList } = assignTeams(data, cols, existingAssignments);
-      setTeams(newTeams);
-      setStaff(staffList);
-      await saveAssignmentsToGist(assignments, existingAttendance, staffList);
-
-      // Guardar en localStorage para búsqueda
-      localStorage.setItem('team_assignments_v13', JSON.stringify(assignments));
-
-      // Cargar asistencia (local)
-      const savedAttendance = localStorage.getItem(ATTENDANCE_KEY);
-      if (savedAttendance) {
-        setAttendance(JSON.parse(savedAttendance));
-      }
-
+      const data = await loadRoster(rosterSources);
       alert(`✓ ${data.length} participantes cargados.`);
     } catch (err) {
       alert('Error al recargar: ' + err.message);
@@ -492,160 +807,680 @@ export default function TeamDivider() {
   };
 
   /**
-   * Alternar asistencia y guardar en Gist
+   * Guardar las fuentes elegidas y recargar participantes
    */
-  const toggleAttendance = (participant) => {
-    const key = getParticipantKey(participant, headers);
-    setAttendance(prev => {
-      const newStatus = !prev[key];
-      const updated = { ...prev, [key]: newStatus };
-      
-      // Guardar localmente
-      localStorage.setItem(ATTENDANCE_KEY, JSON.stringify(updated));
-      
-      // Guardar en Gist también (sin mostrar alerta)
-      const assignments = JSON.parse(localStorage.getItem('team_assignments_v13') || '{}');
-      
-      if (GITHUB_TOKEN) {
-        fetch(`https://api.github.com/gists/${GIST_ID}`, {
-          method: 'PATCH',
-          headers: {
-            'Authorization': `token ${GITHUB_TOKEN}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            description: 'Asignaciones de equipos y asistencia para el campamento',
-            files: {
-              'team-assignments.json': {
-                content: JSON.stringify({
-                  assignments,
-                  attendance: updated,
-                  staff: staff
-                }, null, 2)
-              }
-            }
-          })
-        })
-        .then(response => {
-          if (!response.ok) throw new Error('No se pudo guardar en el Gist');
-          console.log('Asistencia guardada en Gist');
-        })
-        .catch(err => {
-          console.error('Error al guardar asistencia:', err);
-        });
-      }
-      
-      return updated;
-    });
+  const applySources = async (newSources) => {
+    setSources(newSources);
+    saveLocalSources(newSources);
+    setShowSources(false);
+    await reloadFromSheet(newSources);
   };
 
   /**
-   * Descargar Excel
+   * Vuelve a calcular los equipos con la configuración actual (más los cambios indicados)
+   * y guarda el resultado
    */
-  const downloadExcel = () => {
-    if (!teams || participants.length === 0) return;
+  const reassignTeams = async (changes = {}, { base = assignments, reason = '', roster = participants } = {}) => {
+    const settings = { teamConfig, columnMapping, balanceConfig, constraints, locked, ...changes };
+    const seed = draw?.seed || createSeed();
+    const random = seededRandom(`${seed}:${reason}:${Object.keys(base).length}`);
+    const result = assignTeams(roster, headers, base, { ...getAssignOptions(settings), random });
+    showAssignment(result);
+
+    // Registrar en el historial si alguien cambió de equipo
+    const changed = diffAssignments(base, result.assignments, result.rosterKeys);
+    let log = drawLog;
+    if (changed.length > 0) {
+      log = appendLog(drawLog, createLogEntry({
+        type: 'adjust',
+        seed,
+        rosterKeys: result.rosterKeys,
+        constraints: settings.constraints,
+        detail: `${reason}: ${changed.length} reubicados`
+      }));
+      setDrawLog(log);
+    }
 
-    const data = [['EQUIPO', ...headers, 'ASISTENCIA']];
-    TEAM_NAMES.forEach(teamName => {
-      teams[teamName].forEach(member => {
-        const key = getParticipantKey(member, headers);
-        const asistencia = attendance[key] ? 'Presente' : 'Ausente';
-        const row = [teamName, ...headers.map(h => member[h] || ''), asistencia];
-        data.push(row);
-      });
+    await persistCampData({ ...changes, assignments: result.assignments, staff: result.staff, drawLog: log });
+    return result;
+  };
+
+  /**
+   * Nuevo sorteo completo con una semilla nueva (solo los coordinadores fijos y los movidos a mano
+   * conservan su equipo)
+   */
+  const runNewDraw = async () => {
+    const settings = { teamConfig, columnMapping, balanceConfig, constraints, locked };
+    const seed = createSeed();
+    const result = assignTeams(participants, headers, {}, { ...getAssignOptions(settings), random: seededRandom(seed) });
+    showAssignment(result);
+
+    const record = createDrawRecord({ seed, rosterKeys: result.rosterKeys, settings, assignments: result.assignments });
+    const log = appendLog(drawLog, createLogEntry({
+      type: 'draw',
+      seed,
+      rosterKeys: result.rosterKeys,
+      constraints,
+      detail: 'nuevo sorteo'
+    }));
+    setDraw(record);
+    setDrawLog(log);
+
+    await persistCampData({ assignments: result.assignments, staff: result.staff, draw: record, drawLog: log });
+    return seed;
+  };
+
+  /**
+   * Repite el sorteo con la semilla indicada, con la lista y las reglas registradas en el
+   * sorteo, y lo compara con el original y con los equipos actuales
+   */
+  const verifyDraw = async (seed) => {
+    const snapshot = new Set(draw.rosterKeys);
+    const roster = participants.filter(p => snapshot.has(getParticipantKey(p, headers, columnMapping)));
+    const presentKeys = new Set(roster.map(p => getParticipantKey(p, headers, columnMapping)));
+    const missing = draw.rosterKeys.filter(k => !presentKeys.has(k));
+
+    const result = assignTeams(roster, headers, {}, {
+      teamNames: draw.teamNames,
+      // Sorteos anteriores a los coordinadores por equipo: los de siempre
+      coordinators: draw.coordinators || getCoordinators(normalizeTeamConfig(draw.teamNames.map(name => ({ name })))),
+      mapping: columnMapping,
+      balanceConfig: normalizeBalanceConfig(draw.balanceConfig),
+      constraints: draw.constraints,
+      locked: draw.locked,
+      random: seededRandom(seed)
     });
 
-    const ws = XLSX.utils.aoa_to_sheet(data);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, 'Equipos');
-    XLSX.writeFile(wb, 'equipos_divididos.xlsx');
+    const matchesOriginal = missing.length === 0 &&
+      hashAssignments(result.assignments, draw.rosterKeys) === draw.resultHash;
+    const changedSince = diffAssignments(result.assignments, assignments, [...presentKeys]);
+
+    const log = appendLog(drawLog, createLogEntry({
+      type: 'verify',
+      seed,
+      rosterKeys: draw.rosterKeys,
+      constraints: draw.constraints,
+      detail: matchesOriginal ? 'coincide con el sorteo original' : 'no coincide con el sorteo original'
+    }));
+    setDrawLog(log);
+    await persistCampData({ drawLog: log });
+
+    return { matchesOriginal, changedSince, missing };
   };
 
   /**
-   * Buscar participante (MEJORADA - con normalización de texto)
+   * Confirmar el mapeo de columnas y volver a calcular equipos
    */
-  const findParticipantByQuery = (query) => {
-    if (!query.trim()) {
-      setSearchResult(null);
+  const confirmColumnMapping = async (mapping) => {
+    setColumnMapping(mapping);
+    saveLocalColumnMapping(mapping);
+    setShowMapping(false);
+
+    if (pendingRoster) {
+      const roster = pendingRoster;
+      setPendingRoster(null);
+      await applyRoster({ ...roster, settings: { ...roster.settings, columnMapping: mapping } });
       return;
     }
 
-    const normalizedQuery = normalizeText(query);
-
-    // Buscar participante por nombre o celular (búsqueda flexible y normalizada)
-    const found = participants.find(p => {
-      const nombre = p['NOMBRE Y APELLIDO'] ? String(p['NOMBRE Y APELLIDO']) : '';
-      const celular = p['ESCRIBE TU NUMERO DE CELULAR'] ? String(p['ESCRIBE TU NUMERO DE CELULAR']) : '';
-      
-      // Normalizar ambos textos
-      const normalizedNombre = normalizeText(nombre);
-      const normalizedCelular = normalizeText(celular);
-
-      // Búsqueda parcial más flexible (con normalización)
-      return (
-        normalizedNombre.includes(normalizedQuery) || 
-        normalizedQuery.includes(normalizedNombre) ||
-        normalizedCelular.includes(normalizedQuery) ||
-        normalizedQuery.includes(normalizedCelular)
-      );
-    });
+    // Otras columnas pueden cambiar las claves: recargar para vincular los datos guardados
+    await persistCampData({ columnMapping: mapping });
+    await reloadFromSheet();
+  };
 
-    if (found) {
-      const key = getParticipantKey(found, headers);
-      
-      // 1. Verificar si es staff
-      const formaPagoColumn = headers.find(h => 
-        h === 'SELECCIONA LA FORMA DE PAGO REALIZADO'
-      );
-      const isStaff = formaPagoColumn && found[formaPagoColumn]?.toLowerCase().includes('staff');
-      
-      // 2. Verificar si es coordinador fijo (aunque sea staff)
-      const nombre = found['NOMBRE Y APELLIDO'] || '';
-      const nombreLower = nombre.toLowerCase();
-      const esCoordinadorFijo = Object.keys(COORDINADORES_FIJOS).some(coord => 
-        nombreLower.includes(coord.toLowerCase())
-      );
-
-      // Si es staff pero NO es coordinador fijo → mostrar como staff
-      if (isStaff && !esCoordinadorFijo) {
-        setSearchResult({
-          participant: found,
-          team: 'Staff',
-          color: null
-        });
-        return;
-      }
+  /**
+   * Resolver un caso dudoso de identidad: vincular con una clave antigua o tratar como persona nueva
+   */
+  const resolveIdentityReview = async (key, oldKey) => {
+    const remaining = identityReviews
+      .filter(r => r.key !== key)
+      .map(r => ({ ...r, candidates: r.candidates.filter(c => c.key !== oldKey) }))
+      .filter(r => r.candidates.length > 0);
+    setIdentityReviews(remaining);
+    if (remaining.length === 0) setShowIdentityReview(false);
+
+    if (!oldKey) {
+      await persistCampData({ identityReviews: remaining });
+      return;
+    }
 
-      // 3. Verificar si es coordinador fijo
-      const esCoordinador = Object.entries(COORDINADORES_FIJOS).find(([coord,]) => 
-        nombreLower.includes(coord.toLowerCase())
-      );
-
-      if (esCoordinador) {
-        setSearchResult({
-          participant: found,
-          team: esCoordinador[1], // equipo fijo
-          color: COLORS[esCoordinador[1]] || null
-        });
+    const links = { [oldKey]: key };
+    const nextAttendance = mapAttendanceSessions(attendance, session => relinkMap(session, links));
+    const nextLocked = relinkMap(locked, links);
+    const nextRules = normalizeConstraints(relinkRules(constraints, links));
+    const nextIdentities = { ...identities };
+    delete nextIdentities[oldKey];
+    const nextPayments = relinkMap(payments, links);
+    const nextCabins = relinkMap(cabinAssignments, links);
+    const nextCabinLocked = relinkMap(cabinLocked, links);
+    const nextNotified = relinkMap(notified, links);
+    const nextStaffDuties = relinkMap(staffDuties, links);
+
+    // La persona recupera el equipo guardado con la clave antigua
+    const base = relinkMap(assignments, links);
+
+    setAttendance(nextAttendance);
+    updateQueue(relinkSyncQueue(queueRef.current, links));
+    setLocked(nextLocked);
+    setConstraints(nextRules);
+    saveLocalConstraints(nextRules);
+    setIdentities(nextIdentities);
+    setPayments(nextPayments);
+    setCabinAssignments(nextCabins);
+    setCabinLocked(nextCabinLocked);
+    setNotified(nextNotified);
+    setStaffDuties(nextStaffDuties);
+
+    await reassignTeams(
+      {
+        attendance: nextAttendance,
+        locked: nextLocked,
+        constraints: nextRules,
+        identities: nextIdentities,
+        identityReviews: remaining,
+        payments: nextPayments,
+        cabinAssignments: nextCabins,
+        cabinLocked: nextCabinLocked,
+        notified: nextNotified,
+        staffDuties: nextStaffDuties
+      },
+      { base, reason: 'identidad vinculada' }
+    );
+  };
+
+  /**
+   * Fusionar un duplicado: se conserva un registro con su equipo, pago, cabaña y demás datos
+   * (los del eliminado solo completan lo que falte); la asistencia marcada en cualquiera de
+   * los dos se mantiene
+   */
+  const mergeDuplicate = async (keepKey, dropKey) => {
+    const links = { [dropKey]: keepKey };
+    const nextMerged = { ...mergedDuplicates, [dropKey]: keepKey };
+    const nextAttendance = mapAttendanceSessions(attendance, session => relinkMap(session, links));
+    const nextLocked = { ...locked };
+    delete nextLocked[dropKey];
+    const nextRules = normalizeConstraints(relinkRules(constraints, links));
+    const nextIdentities = { ...identities };
+    delete nextIdentities[dropKey];
+    const nextPayments = mergeMapKeys(payments, links);
+    const nextCabins = mergeMapKeys(cabinAssignments, links);
+    const nextCabinLocked = mergeMapKeys(cabinLocked, links);
+    const nextNotified = mergeMapKeys(notified, links);
+    const nextStaffDuties = mergeMapKeys(staffDuties, links);
+    const base = { ...assignments };
+    delete base[dropKey];
+    const roster = participants.filter(p => getParticipantKey(p, headers, columnMapping) !== dropKey);
+
+    setMergedDuplicates(nextMerged);
+    setDuplicatePool(prev => prev.filter(person => person.key !== dropKey));
+    setParticipants(roster);
+    setAttendance(nextAttendance);
+    updateQueue(relinkSyncQueue(queueRef.current, links));
+    setLocked(nextLocked);
+    setConstraints(nextRules);
+    saveLocalConstraints(nextRules);
+    setIdentities(nextIdentities);
+    setPayments(nextPayments);
+    setCabinAssignments(nextCabins);
+    setCabinLocked(nextCabinLocked);
+    setNotified(nextNotified);
+    setStaffDuties(nextStaffDuties);
+
+    await reassignTeams(
+      {
+        mergedDuplicates: nextMerged,
+        attendance: nextAttendance,
+        locked: nextLocked,
+        constraints: nextRules,
+        identities: nextIdentities,
+        payments: nextPayments,
+        cabinAssignments: nextCabins,
+        cabinLocked: nextCabinLocked,
+        notified: nextNotified,
+        staffDuties: nextStaffDuties
+      },
+      { base, roster, reason: 'duplicado fusionado' }
+    );
+  };
+
+  /**
+   * Marcar un par como "no es duplicado" para no volver a sugerirlo
+   */
+  const dismissDuplicate = async (pairId) => {
+    const nextDismissed = [...dismissedDuplicates, pairId];
+    setDismissedDuplicates(nextDismissed);
+    await persistCampData({ dismissedDuplicates: nextDismissed });
+  };
+
+  /**
+   * Cambiar de almacenamiento; opcionalmente copiar los datos actuales al nuevo
+   */
+  const saveStorageConfig = async (config, copyCurrent) => {
+    const nextStore = createCampStore(createBackend(config), EMPTY_CAMP_DATA);
+    if (copyCurrent) {
+      try {
+        await nextStore.load();
+        await nextStore.save(campDataRef.current);
+      } catch (err) {
+        alert('No se pudieron copiar los datos: ' + err.message);
         return;
       }
+    }
 
-      // 4. Leer asignaciones desde localStorage (guardadas del Gist)
-      const assignments = localStorage.getItem('team_assignments_v13')
-        ? JSON.parse(localStorage.getItem('team_assignments_v13'))
-        : {};
+    saveLocalStorageConfig(config);
+    setStorageConfig(config);
+    setShowStorage(false);
+    // Al cambiar el almacén se vuelven a cargar los datos
+    setStore(nextStore);
+  };
 
-      // 5. Buscar equipo asignado
-      const team = assignments[key] || 'Sin asignar';
+  /**
+   * Reemplazar los datos guardados por los de un archivo JSON descargado antes
+   */
+  const importCampData = async (file) => {
+    try {
+      const data = await readCampDataFile(file);
+      if (!window.confirm('Los datos actuales se reemplazarán por los del archivo. ¿Continuar?')) return;
+      await persistCampData({ ...EMPTY_CAMP_DATA, ...data });
+      setShowStorage(false);
+      await reloadFromSheet();
+    } catch (err) {
+      alert('Archivo no válido: ' + err.message);
+    }
+  };
 
-      setSearchResult({
-        participant: found,
-        team,
-        color: COLORS[team] || null
-      });
+  /**
+   * Entrar al modo administrador (la clave ya se verificó)
+   */
+  const unlockAdmin = (pin) => {
+    saveAdminSession(true, pin);
+    setIsAdmin(true);
+    setShowUnlock(false);
+
+    // Si los equipos todavía no se sortearon, volver a cargar hace (y guarda) el sorteo inicial
+    if (notDrawn) {
+      setLoading(true);
+      loadRoster(sources)
+        .catch(err => setError(err.message || 'Error al cargar el archivo.'))
+        .finally(() => setLoading(false));
+    }
+  };
+
+  /**
+   * Volver al modo público y cerrar los paneles de administración
+   */
+  const lockAdmin = () => {
+    saveAdminSession(false);
+    setSaveRejected(false);
+    setIsAdmin(false);
+    setShowSources(false);
+    setShowMapping(false);
+    setShowSettings(false);
+    setShowConstraints(false);
+    setShowDraw(false);
+    setShowDuplicates(false);
+    setShowStorage(false);
+    setShowIdentityReview(false);
+  };
+
+  /**
+   * Elegir la sesión que marcan los toggles de asistencia
+   */
+  const selectSession = (sessionId) => {
+    setSelectedSession(sessionId);
+    saveSelectedSession(sessionId);
+  };
+
+  /**
+   * Guardar la lista de sesiones; al eliminar una, se borra también su asistencia
+   */
+  const saveSessions = (nextSessions, removedId = null) => {
+    setSessions(nextSessions);
+    if (!removedId) {
+      persistCampData({ sessions: nextSessions });
+      return;
+    }
+
+    const nextAttendance = { ...attendance };
+    delete nextAttendance[removedId];
+    setAttendance(nextAttendance);
+    updateQueue(queueRef.current.filter(op => op.session !== removedId));
+    persistCampData({ sessions: nextSessions, attendance: nextAttendance });
+  };
+
+  /**
+   * Marcar presente o ausente en la sesión elegida y guardar
+   */
+  const savePresence = (key, newStatus) => {
+    if (!isAdmin) return;
+    const updated = setPresence(attendanceRef.current, selectedSession, key, newStatus);
+    attendanceRef.current = updated;
+    setAttendance(updated);
+
+    // Guardar en la cola del dispositivo, por si no hay señal
+    updateQueue(enqueueChange(queueRef.current, selectedSession, key, newStatus));
+
+    // Guardar también en el almacenamiento (sin mostrar alerta); si falla, se reintenta
+    persistCampData({ attendance: updated });
+  };
+
+  /**
+   * Alternar asistencia en la sesión elegida
+   */
+  const toggleAttendance = (participant) => {
+    const key = getParticipantKey(participant, headers, columnMapping);
+    savePresence(key, !isPresent(attendanceRef.current, selectedSession, key));
+  };
+
+  /**
+   * Guardar configuración de equipos y de equilibrio, y redistribuir participantes
+   */
+  const saveTeamConfig = async (config, renames, balance) => {
+    setTeamConfig(config);
+    setBalanceConfig(balance);
+    setShowSettings(false);
+    saveLocalTeamConfig(config);
+    saveLocalBalanceConfig(balance);
+
+    // Los bloqueos siguen a los equipos renombrados; los de equipos eliminados se descartan
+    const renamedLocked = renameAssignments(locked, renames);
+    const teamNames = getTeamNames(config);
+    const nextLocked = Object.fromEntries(
+      Object.entries(renamedLocked).filter(([, team]) => teamNames.includes(team))
+    );
+    setLocked(nextLocked);
+
+    // Los puntos y el staff de apoyo siguen a los equipos renombrados
+    const nextScores = renameScoreTeams(scores, renames);
+    setScores(nextScores);
+    const nextStaffDuties = renameStaffTeams(staffDuties, renames, teamNames);
+    setStaffDuties(nextStaffDuties);
+
+    await reassignTeams(
+      { teamConfig: config, balanceConfig: balance, locked: nextLocked, scores: nextScores, staffDuties: nextStaffDuties },
+      { base: renameAssignments(assignments, renames), reason: 'configuración de equipos' }
+    );
+  };
+
+  /**
+   * Guardar reglas juntos/separados y reubicar a quienes no las cumplen
+   */
+  const saveConstraints = async (rules) => {
+    setConstraints(rules);
+    saveLocalConstraints(rules);
+    await reassignTeams({ constraints: rules }, { reason: 'reglas juntos/separados' });
+  };
+
+  /**
+   * Registrar el pago de un participante (solo administradores)
+   */
+  const savePayment = async (key, record) => {
+    if (!isAdmin) return;
+    const next = setPayment(payments, key, record);
+    setPayments(next);
+    await persistCampData({ payments: next });
+  };
+
+  /**
+   * Guardar la cuota por participante con la que se calculan los saldos
+   */
+  const savePaymentFee = async (fee) => {
+    if (!isAdmin) return;
+    setPaymentFee(fee);
+    await persistCampData({ paymentFee: fee });
+  };
+
+  /**
+   * Registrar puntos de una actividad (un registro por equipo)
+   */
+  const addTeamScores = async (activity, awards) => {
+    if (!isAdmin) return;
+    const next = addScores(scores, awards.map(a => createScoreEntry(activity, a.team, a.points)));
+    setScores(next);
+    await persistCampData({ scores: next });
+  };
+
+  /**
+   * Deshacer un registro de puntos cargado por error
+   */
+  const undoTeamScore = async (id) => {
+    if (!isAdmin) return;
+    const next = undoScore(scores, id);
+    setScores(next);
+    await persistCampData({ scores: next });
+  };
+
+  /**
+   * Guardar las cabañas; quienes estaban en una cabaña eliminada quedan sin cabaña
+   */
+  const saveCabins = async (list) => {
+    if (!isAdmin) return;
+    const next = normalizeCabins(list);
+    const ids = new Set(next.map(c => c.id));
+    const keep = (map) => Object.fromEntries(
+      Object.entries(map).filter(([key]) => ids.has(cabinAssignments[key]))
+    );
+    const nextAssignments = keep(cabinAssignments);
+    const nextLocked = keep(cabinLocked);
+
+    setCabins(next);
+    setCabinAssignments(nextAssignments);
+    setCabinLocked(nextLocked);
+    await persistCampData({ cabins: next, cabinAssignments: nextAssignments, cabinLocked: nextLocked });
+  };
+
+  /**
+   * Asignar cabañas automáticamente (reset: repartir de nuevo a todos los no bloqueados)
+   */
+  const assignCabins = async (reset) => {
+    if (!isAdmin) return;
+    const people = participants.map(p => ({
+      key: getParticipantKey(p, headers, columnMapping),
+      ...getCabinProfile(p, columnMapping)
+    }));
+    const { assignments: next } = allocateCabins({
+      people,
+      cabins,
+      existing: cabinAssignments,
+      locked: cabinLocked,
+      reset
+    });
+    setCabinAssignments(next);
+    await persistCampData({ cabinAssignments: next });
+  };
+
+  /**
+   * Mover a alguien de cabaña a mano; queda bloqueado ("none" lo deja sin cabaña)
+   */
+  const moveToCabin = async (key, cabinId) => {
+    if (!isAdmin || !cabinId) return;
+    const nextAssignments = { ...cabinAssignments };
+    const nextLocked = { ...cabinLocked };
+    if (cabinId === 'none') {
+      delete nextAssignments[key];
+      delete nextLocked[key];
     } else {
-      setSearchResult({ notFound: true });
+      nextAssignments[key] = cabinId;
+      nextLocked[key] = true;
     }
+    setCabinAssignments(nextAssignments);
+    setCabinLocked(nextLocked);
+    await persistCampData({ cabinAssignments: nextAssignments, cabinLocked: nextLocked });
+  };
+
+  /**
+   * Quitar el bloqueo de cabaña: la asignación automática puede volver a moverlo
+   */
+  const unlockCabin = async (key) => {
+    if (!isAdmin) return;
+    const nextLocked = { ...cabinLocked };
+    delete nextLocked[key];
+    setCabinLocked(nextLocked);
+    await persistCampData({ cabinLocked: nextLocked });
+  };
+
+  /**
+   * Guardar la plantilla de los avisos por WhatsApp
+   */
+  const saveMessageTemplate = async (template) => {
+    if (!isAdmin) return;
+    setMessageTemplate(template);
+    await persistCampData({ messageTemplate: template });
+  };
+
+  /**
+   * Marcar (o desmarcar) que ya se avisó a un participante
+   */
+  const markNotified = async (key, value) => {
+    if (!isAdmin) return;
+    const next = { ...notified };
+    if (value) next[key] = new Date().toISOString();
+    else delete next[key];
+    setNotified(next);
+    await persistCampData({ notified: next });
+  };
+
+  /**
+   * Agregar a alguien del staff que no llenó el formulario
+   */
+  const addStaff = async ({ role, ...person }) => {
+    if (!isAdmin) return;
+    const added = createManualStaff(person);
+    const nextStaff = { ...manualStaff, [added.key]: added };
+    const nextDuties = setStaffDuty(staffDuties, added.key, { role });
+    setManualStaff(nextStaff);
+    setStaffDuties(nextDuties);
+    await persistCampData({ manualStaff: nextStaff, staffDuties: nextDuties });
+  };
+
+  /**
+   * Quitar a alguien del staff agregado a mano
+   */
+  const removeStaff = async (key) => {
+    if (!isAdmin) return;
+    const nextStaff = { ...manualStaff };
+    delete nextStaff[key];
+    const nextDuties = { ...staffDuties };
+    delete nextDuties[key];
+    setManualStaff(nextStaff);
+    setStaffDuties(nextDuties);
+    await persistCampData({ manualStaff: nextStaff, staffDuties: nextDuties });
+  };
+
+  /**
+   * Cambiar el rol o el equipo de apoyo de alguien del staff
+   */
+  const saveStaffDuty = async (key, changes) => {
+    if (!isAdmin) return;
+    const next = setStaffDuty(staffDuties, key, changes);
+    setStaffDuties(next);
+    await persistCampData({ staffDuties: next });
+  };
+
+  /**
+   * Mover a alguien de equipo a mano; queda bloqueado para que ni las recargas ni los
+   * reequilibrios lo vuelvan a mover
+   */
+  const moveParticipant = async (key, team) => {
+    if (!isAdmin || !team || assignments[key] === team) return;
+    const nextLocked = { ...locked, [key]: team };
+    setLocked(nextLocked);
+    await reassignTeams(
+      { locked: nextLocked },
+      { base: { ...assignments, [key]: team }, reason: `movimiento manual a ${team}` }
+    );
+  };
+
+  /**
+   * Quitar el bloqueo: la persona sigue en su equipo pero puede volver a reubicarse automáticamente
+   */
+  const unlockParticipant = async (key) => {
+    if (!isAdmin) return;
+    const nextLocked = { ...locked };
+    delete nextLocked[key];
+    setLocked(nextLocked);
+    await persistCampData({ locked: nextLocked });
+  };
+
+  /**
+   * Descargar Excel
+   */
+  const downloadExcel = () => {
+    if (!isAdmin || !teams || participants.length === 0) return;
+
+    // Una columna de asistencia por sesión
+    const data = [[
+      'EQUIPO',
+      ...headers,
+      ...sessions.map(s => `ASISTENCIA: ${s.name}`),
+      'PAGO: ESTADO',
+      'PAGO: MONTO',
+      'PAGO: SALDO'
+    ]];
+    TEAM_NAMES.forEach(teamName => {
+      (teams[teamName] || []).forEach(member => {
+        const key = getParticipantKey(member, headers, columnMapping);
+        const asistencia = sessions.map(s => (isPresent(attendance, s.id, key) ? 'Presente' : 'Ausente'));
+        const pago = getPayment(payments, key);
+        const row = [
+          teamName,
+          ...headers.map(h => member[h] || ''),
+          ...asistencia,
+          PAYMENT_STATUSES[pago.status],
+          getPaid(pago, paymentFee),
+          getBalance(pago, paymentFee)
+        ];
+        data.push(row);
+      });
+    });
+
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'Equipos');
+
+    // Hoja aparte con el staff (del formulario y agregado a mano)
+    const staffData = [['NOMBRE', 'CELULAR', 'IGLESIA', 'ROL', 'EQUIPO DE APOYO', 'ORIGEN']];
+    staffPeople.forEach(person => {
+      const { role, team } = getStaffDuty(staffDuties, person.key);
+      staffData.push([
+        person.name,
+        person.phone,
+        person.church,
+        STAFF_ROLES[role] || '',
+        team,
+        person.manual ? 'Agregado a mano' : 'Formulario'
+      ]);
+    });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(staffData), 'Staff');
+    XLSX.writeFile(wb, 'equipos_divididos.xlsx');
+  };
+
+  /**
+   * Imprimir credenciales o listas de asistencia de los equipos indicados (y del staff)
+   *
+   * @param {'badges'|'rosters'} kind
+   */
+  const printTeamDocuments = (kind, teamList, includeStaff) => {
+    if (!isAdmin || !teams) return;
+    const byName = (a, b) => a.name.localeCompare(b.name, 'es');
+    const toPerson = (member, team) => ({
+      key: getParticipantKey(member, headers, columnMapping),
+      name: getField(member, columnMapping, 'name') || '—',
+      team,
+      age: getField(member, columnMapping, 'age'),
+      church: getField(member, columnMapping, 'church'),
+      phone: getField(member, columnMapping, 'phone')
+    });
+    const rosters = [
+      ...teamList.map(team => ({ team, members: (teams[team] || []).map(m => toPerson(m, team)).sort(byName) })),
+      ...(includeStaff && staff.length > 0 ? [{ team: 'Staff', members: staff.map(m => toPerson(m, 'Staff')).sort(byName) }] : [])
+    ];
+
+    const sessionName = sessions.find(s => s.id === selectedSession)?.name || 'Asistencia';
+    const opened = kind === 'badges'
+      ? printBadges(rosters.flatMap(r => r.members), COLORS, cjr28Logo)
+      : printRosters(rosters, COLORS, cjr28Logo, sessionName);
+    if (!opened) alert('Permite las ventanas emergentes para imprimir.');
   };
 
   if (loading) {
@@ -663,17 +1498,156 @@ export default function TeamDivider() {
         <div className={styles.mainCard} style={{ padding: '1.5rem', textAlign: 'center' }}>
           <h2 style={{ color: '#ef4444', fontSize: '1.3rem' }}>❌ Error</h2>
           <p>{error}</p>
+          <button type="button" className={styles.linkBtn} onClick={() => window.location.reload()}>
+            Reintentar
+          </button>
+          {/* Sin modo administrador no se puede cambiar la fuente: ofrecer ingresar aquí mismo */}
+          {!isAdmin && (
+            <div style={{ textAlign: 'left', marginTop: '1rem' }}>
+              {showUnlock ? (
+                <AdminUnlock onUnlock={unlockAdmin} onClose={() => setShowUnlock(false)} />
+              ) : (
+                <button type="button" className={styles.linkBtn} onClick={() => setShowUnlock(true)}>
+                  Entrar como administrador para elegir otra fuente de datos
+                </button>
+              )}
+            </div>
+          )}
+          {/* Permitir elegir otra fuente (por ejemplo, un archivo local si no hay internet) */}
+          {isAdmin && (
+            <div style={{ textAlign: 'left', marginTop: '1rem' }}>
+              <DataSourcePanel
+                sources={sources}
+                onApply={(newSources) => {
+                  setError(null);
+                  applySources(newSources);
+                }}
+                onClose={() => window.location.reload()}
+              />
+            </div>
+          )}
         </div>
       </div>
     );
   }
 
+  // Nombre visible de cada clave (para mostrar reglas)
+  const participantNames = participants.reduce((acc, p) => {
+    acc[getParticipantKey(p, headers, columnMapping)] = getField(p, columnMapping, 'name');
+    return acc;
+  }, {});
+
+  // Puntaje de equilibrio de cada equipo (género, edad, iglesia)
+  const balanceScores = teams
+    ? computeBalanceScores(teams, TEAM_NAMES, p => getBalanceCategories(p, columnMapping, balanceConfig), balanceConfig)
+    : { teams: {}, overall: null };
+
+  const getKey = p => getParticipantKey(p, headers, columnMapping);
+  const staffKeys = new Set(staff.map(getKey));
+  const getTeam = p => assignments[getKey(p)] || (staffKeys.has(getKey(p)) ? 'Staff' : 'Sin asignar');
+
+  // Todo el staff: el del formulario y el agregado a mano
+  const staffPeople = [
+    ...staff.map(p => ({
+      key: getKey(p),
+      name: getField(p, columnMapping, 'name') || '—',
+      phone: getField(p, columnMapping, 'phone'),
+      church: getField(p, columnMapping, 'church').trim(),
+      manual: false
+    })),
+    ...Object.values(manualStaff).map(s => ({ ...s, manual: true }))
+  ];
+  const teamHelpers = getTeamHelpers(staffPeople, staffDuties);
+
+  const isAdminPage = ADMIN_PAGES.includes(route.page);
+  const routeTeam = route.page === 'team' ? TEAM_NAMES.find(t => teamSlug(t) === route.team) : null;
+
+  // Selector de sesión para las páginas donde se marca asistencia
+  const sessionBar = teams && (
+    <SessionBar
+      sessions={sessions}
+      selected={selectedSession}
+      presentCount={participants.filter(p => isPresent(attendance, selectedSession, getKey(p))).length}
+      totalCount={participants.length}
+      onSelect={selectSession}
+      onSave={saveSessions}
+    />
+  );
+
+  // Estación de registro: código de la credencial → datos para la confirmación
+  const resolveCheckInCode = (code) => {
+    const key = findKeyByBadgeCode(code, participants.map(getKey));
+    const participant = key && participants.find(p => getKey(p) === key);
+    if (!participant) return null;
+    return {
+      key,
+      name: getField(participant, columnMapping, 'name') || '—',
+      team: getTeam(participant),
+      cabin: cabins.find(c => c.id === cabinAssignments[key])?.name
+    };
+  };
+
+  const teamColumnProps = (teamName) => ({
+    teamName,
+    members: teams?.[teamName] || [],
+    color: COLORS[teamName],
+    balance: balanceScores.teams[teamName],
+    teamNames: TEAM_NAMES,
+    mapping: columnMapping,
+    getKey,
+    isCoordinator: p => !!getFixedTeam(p, columnMapping, getCoordinators(teamConfig)),
+    locked,
+    attendance,
+    session: selectedSession,
+    dragKey,
+    dragTeam: assignments[dragKey],
+    onDragKey: setDragKey,
+    onMove: moveParticipant,
+    onUnlock: unlockParticipant,
+    onToggleAttendance: toggleAttendance,
+    helpers: (teamHelpers[teamName] || []).map(h => (h.role ? `${h.name} (${STAFF_ROLES[h.role]})` : h.name))
+  });
+
   return (
     <div className={styles.fullScreen}>
       <div className={styles.mainCard}>
         
-        {/* Indicador visual si no hay token */}
-        {!GITHUB_TOKEN && (
+        {/* Indicador visual si los datos no se pueden guardar */}
+        {isAdmin && !store.backend.ready && (
+          <div style={{
+            backgroundColor: '#fef3c7',
+            color: '#92400e',
+            padding: '0.5rem',
+            textAlign: 'center',
+            fontSize: '0.8rem',
+            margin: '0 0.75rem'
+          }}>
+            ⚠️ {store.backend.warning}
+          </div>
+        )}
+
+        {isAdmin && saveRejected && (
+          <div style={{
+            backgroundColor: '#fee2e2',
+            color: '#991b1b',
+            padding: '0.5rem',
+            textAlign: 'center',
+            fontSize: '0.8rem',
+            margin: '0 0.75rem'
+          }}>
+            {saveRejected === 'readOnly' ? (
+              <>⚠️ El servidor no tiene ADMIN_PIN_HASH configurada: los cambios no se están guardando.</>
+            ) : (
+              <>
+                ⚠️ El servidor no aceptó la clave de administrador: los cambios no se están guardando.
+                Sal del modo administrador y vuelve a ingresar la clave configurada en el servidor.
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Abierto sin conexión: los datos son la última copia de este dispositivo */}
+        {(cachedAt || rosterCachedAt) && (
           <div style={{
             backgroundColor: '#fef3c7',
             color: '#92400e',
@@ -682,7 +1656,12 @@ export default function TeamDivider() {
             fontSize: '0.8rem',
             margin: '0 0.75rem'
           }}>
-            ⚠️ Sin token de GitHub: las asignaciones no se guardarán
+            ⚠️ Sin conexión: se muestran{' '}
+            {[
+              cachedAt && `los equipos y la asistencia guardados en este dispositivo el ${new Date(cachedAt).toLocaleString('es-BO')}`,
+              rosterCachedAt && `la lista de inscritos guardada el ${new Date(rosterCachedAt).toLocaleString('es-BO')}`
+            ].filter(Boolean).join(' y ')}
+            . Recarga con conexión para ver los últimos cambios.
           </div>
         )}
 
@@ -692,204 +1671,506 @@ export default function TeamDivider() {
             <h1>División de Equipos - Campamento AGIOS 2.8</h1>
             <p>Participantes asignados por colores • Datos en tiempo real</p>
           </div>
-          <div style={{ width: '2.8rem' }}></div>
+          <div className={styles.headerActions}>
+            {isAdmin ? (
+              <button
+                type="button"
+                className={styles.iconBtn}
+                onClick={lockAdmin}
+                title="Salir del modo administrador"
+              >
+                <LogOut size={20} />
+              </button>
+            ) : (
+              <button
+                type="button"
+                className={styles.iconBtn}
+                onClick={() => setShowUnlock(v => !v)}
+                title="Modo administrador"
+              >
+                <Lock size={20} />
+              </button>
+            )}
+          </div>
         </div>
 
+        <NavBar
+          route={route}
+          navigate={navigate}
+          isAdmin={isAdmin}
+          teamNames={TEAM_NAMES}
+          colors={COLORS}
+        />
+
+        {isAdmin && (
+          <SyncStatus
+            pendingCount={pendingCount}
+            lastSync={lastSync}
+            online={online}
+            syncing={syncing}
+            onRetry={flushQueue}
+          />
+        )}
+
         <div className={styles.content}>
-          
-          {/* Resumen centrado */}
-          <div className={styles.summaryCentered}>
-            {/* <div className={styles.summaryRow}>
-              <span className={styles.summaryLabelCentered}>Total registrados:</span>
-              <span className={styles.summaryValueCentered}>{participants.length}</span>
-            </div> */}
-            
-            {participants.length > 0 && (() => {
-              const generos = participants.reduce((acc, p) => {
-                const g = p['SELECCIONA TU GENERO'] || 'No especificado';
-                acc[g] = (acc[g] || 0) + 1;
-                return acc;
-              }, {});
-              
-              return (
+          {showUnlock && !isAdmin && !isAdminPage && (
+            <AdminUnlock onUnlock={unlockAdmin} onClose={() => setShowUnlock(false)} />
+          )}
+
+          {!isAdmin && pendingRoster && (
+            <p className={styles.settingsHint} style={{ textAlign: 'center' }}>
+              La planilla cambió y un administrador debe confirmar sus columnas antes de mostrar los equipos.
+            </p>
+          )}
+
+          {isAdmin && pendingRoster && route.page !== 'admin' && (
+            <div className={styles.violationsBanner}>
+              <AlertTriangle size={16} />
+              <div>
+                <strong>La planilla cambió: hay que confirmar sus columnas</strong>
                 <div>
-                  {/* <span className={styles.summaryLabelCentered}>Género:</span> */}
-                  <div className={styles.genderTagsCentered}>
-                    {Object.entries(generos).map(([gen, count]) => (
-                      <span key={gen} className={styles.genderTagCentered}>
-                        {gen}: {count}
-                      </span>
-                    ))}
-                    <span className={styles.genderTagCentered}>
-                      Staff: {staff.length}
-                    </span>
-                  </div>
+                  <a {...linkProps(routePath('admin'), navigate)} className={styles.linkBtn}>
+                    Ir a administración
+                  </a>
                 </div>
-              );
-            })()}
-          </div>
-
-          {/* Búsqueda */}
-          <div className={styles.searchSection}>
-            <h3>
-              <Search size={16} /> ¿En qué equipo estoy?
-            </h3>
-            <div className={styles.inputGroup}>
-              <input
-                type="text"
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                placeholder="Nombre completo o número de celular..."
-                onKeyPress={(e) => e.key === 'Enter' && findParticipantByQuery(searchQuery)}
-              />
-              <button onClick={() => findParticipantByQuery(searchQuery)}>
-                Buscar
-              </button>
+              </div>
             </div>
-            {searchResult && (
-              <div className={styles.searchResult}>
-                {searchResult.notFound ? (
-                  <p>❌ No se encontró ningún participante.</p>
-                ) : (
-                  <div style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem' }}>
-                    <UserCheck color="#0ea5e9" size={16} style={{ marginTop: '2px' }} />
-                    <div>
-                      <p style={{ fontWeight: '600', color: '#1e4155', fontSize: '0.9rem' }}>
-                        {searchResult.participant['NOMBRE Y APELLIDO'] || '—'}
-                      </p>
-                      <p style={{ marginTop: '0.1rem', fontSize: '0.8rem' }}>
-                        <strong>Equipo:</strong>{' '}
-                        <span
-                          style={{
-                            backgroundColor: searchResult.color?.color || '#6b7280',
-                            color: 'white',
-                            padding: '0.15rem 0.4rem',
-                            borderRadius: '12px',
-                            fontSize: '0.7rem'
-                          }}
-                        >
-                          {searchResult.team}
-                        </span>
-                      </p>
-                      {/* Toggle de asistencia en búsqueda */}
-                      <div 
-                        className={styles.attendanceToggle}
-                        style={{ marginTop: '0.5rem' }}
-                        onClick={() => toggleAttendance(searchResult.participant)}
-                      >
-                        <input
-                          type="checkbox"
-                          checked={!!attendance[getParticipantKey(searchResult.participant, headers)]}
-                          readOnly
-                        />
-                        <span className={
-                          attendance[getParticipantKey(searchResult.participant, headers)] 
-                            ? styles.attendancePresent 
-                            : styles.attendanceAbsent
-                        }>
-                          {attendance[getParticipantKey(searchResult.participant, headers)] ? 'Presente' : 'Ausente'}
-                        </span>
-                      </div>
-                    </div>
-                  </div>
-                )}
+          )}
+
+          {/* Páginas de administración sin haber ingresado: pedir la clave */}
+          {isAdminPage && !isAdmin && (
+            <>
+              <p className={styles.settingsHint} style={{ textAlign: 'center' }}>
+                Esta página es solo para administradores.
+              </p>
+              <AdminUnlock onUnlock={unlockAdmin} onClose={() => navigate(routePath('lookup'))} />
+            </>
+          )}
+
+          {route.page === 'notFound' && (
+            <div className={styles.searchSection} style={{ textAlign: 'center' }}>
+              <p>La página no existe.</p>
+              <a {...linkProps(routePath('lookup'), navigate)} className={styles.linkBtn}>
+                Ir a la búsqueda
+              </a>
+            </div>
+          )}
+
+          {/* Administración: fuentes, columnas, equipos, reglas, almacenamiento, duplicados y sorteo */}
+          {isAdmin && route.page === 'admin' && (
+            <>
+              <div className={styles.adminToolbar}>
+                <button type="button" onClick={() => setShowSources(v => !v)}>
+                  <Upload size={14} /> Fuente de datos
+                </button>
+                <button type="button" onClick={() => setShowMapping(v => !v)}>
+                  <Columns3 size={14} /> Columnas
+                </button>
+                <button type="button" onClick={() => setShowSettings(v => !v)}>
+                  <Settings size={14} /> Equipos
+                </button>
+                <button type="button" onClick={() => setShowConstraints(v => !v)}>
+                  <ListChecks size={14} /> Reglas
+                </button>
+                <button type="button" onClick={() => setShowStorage(v => !v)}>
+                  <Database size={14} /> Almacenamiento
+                </button>
+                <button type="button" onClick={() => setShowDuplicates(v => !v)}>
+                  <Copy size={14} /> Duplicados
+                  {duplicates.length > 0 && <span className={styles.iconBadge}>{duplicates.length}</span>}
+                </button>
+                <button type="button" onClick={() => setShowDraw(v => !v)}>
+                  <Shuffle size={14} /> Sorteo
+                </button>
+                <button type="button" onClick={downloadExcel}>
+                  <Download size={14} /> Excel
+                </button>
               </div>
-            )}
-          </div>
 
-          {/* Equipos */}
-          <div className={styles.teamsGrid}>
-            {TEAM_NAMES.map(teamName => {
-              const members = teams[teamName];
-              const color = COLORS[teamName];
-              return (
-                <div key={teamName} className={styles.teamCard} style={{ backgroundColor: color.bg }}>
-                  <div className={styles.teamHeader} style={{ backgroundColor: color.color }}>
-                    <h3 className={styles.teamTitle}>
-                      <span
-                        style={{
-                          display: 'inline-block',
-                          width: '6px',
-                          height: '6px',
-                          borderRadius: '50%',
-                          backgroundColor: 'white',
-                          marginRight: '6px'
-                        }}
-                      ></span>
-                      Equipo {teamName}
-                    </h3>
-                    <span className={styles.teamCount}>{members.length}</span>
+              {showSources && (
+                <DataSourcePanel
+                  sources={sources}
+                  onApply={applySources}
+                  onClose={() => setShowSources(false)}
+                />
+              )}
+
+              {showMapping && (
+                <ColumnMappingWizard
+                  headers={headers}
+                  participants={participants}
+                  mapping={columnMapping}
+                  onConfirm={confirmColumnMapping}
+                  onCancel={pendingRoster ? null : () => setShowMapping(false)}
+                />
+              )}
+
+              {showStorage && (
+                <StoragePanel
+                  config={storageConfig}
+                  onSave={saveStorageConfig}
+                  onDownload={() => downloadCampData(campDataRef.current)}
+                  onImport={importCampData}
+                  onClose={() => setShowStorage(false)}
+                />
+              )}
+
+              {showDuplicates && (
+                <DuplicatePanel
+                  duplicates={duplicates}
+                  participants={participants}
+                  getKey={p => getParticipantKey(p, headers, columnMapping)}
+                  mapping={columnMapping}
+                  assignments={assignments}
+                  attendance={getPresentAnywhere(attendance)}
+                  colors={COLORS}
+                  onMerge={mergeDuplicate}
+                  onDismiss={dismissDuplicate}
+                  onClose={() => setShowDuplicates(false)}
+                />
+              )}
+
+              {showDraw && (
+                <DrawPanel
+                  draw={draw}
+                  drawLog={drawLog}
+                  participantNames={participantNames}
+                  onNewDraw={runNewDraw}
+                  onVerify={verifyDraw}
+                  onClose={() => setShowDraw(false)}
+                />
+              )}
+
+              {showConstraints && (
+                <ConstraintEditor
+                  people={TEAM_NAMES.flatMap(team => (teams?.[team] || []).map(member => ({
+                    key: getParticipantKey(member, headers, columnMapping),
+                    name: getField(member, columnMapping, 'name') || '—',
+                    team
+                  })))}
+                  rules={constraints}
+                  violations={violations}
+                  colors={COLORS}
+                  onSave={saveConstraints}
+                  onClose={() => setShowConstraints(false)}
+                />
+              )}
+
+              {violations.length > 0 && (
+                <div className={styles.violationsBanner}>
+                  <AlertTriangle size={16} />
+                  <div>
+                    <strong>{violations.length === 1 ? '1 regla no se pudo cumplir' : `${violations.length} reglas no se pudieron cumplir`}</strong>
+                    <ul>
+                      {violations.map((v, i) => (
+                        <li key={i}>
+                          {v.keys.map(k => participantNames[k] || k).join(', ')}: {v.message}
+                        </li>
+                      ))}
+                    </ul>
                   </div>
-                  <div className={styles.participantsList}>
-                    {members.length === 0 ? (
-                      <div className={styles.noParticipants}>Sin participantes</div>
-                    ) : (
-                      members.map((member, i) => {
-                        const nombre = member['NOMBRE Y APELLIDO'] || '—';
-                        const edad = member['ESCRIBE TU EDAD'] || '—';
-                        const iglesia = member['SELECCIONA TU IGLESIA ( si no aparece tu iglesia puedes escribirlo en "otros" o seleccionar invitado si no asistes a ninguna iglesia)'] || '—';
-                        const talla = member['SELECCIONA  TALLA'] || '—';
-
-                        // Verificar si es coordinador fijo
-                        const esCoordinador = Object.keys(COORDINADORES_FIJOS).some(coord => 
-                          nombre.toLowerCase().includes(coord.toLowerCase())
-                        );
-
-                        return (
-                          <div key={i} className={styles.participantCard}>
-                            <h4>
-                              {nombre}
-                              {esCoordinador && (
-                                <span style={{ 
-                                  fontSize: '0.7rem', 
-                                  color: '#ffffff', 
-                                  backgroundColor: '#1e40af', 
-                                  padding: '0.1rem 0.3rem', 
-                                  borderRadius: '10px', 
-                                  marginLeft: '0.3rem' 
-                                }}>
-                                  COORD
-                                </span>
-                              )}
-                            </h4>
-                            <div className={styles.participantData}>
-                              <div><strong>Edad:</strong> {edad}</div>
-                              <div><strong>Talla:</strong> {talla}</div>
-                              <div><strong>Iglesia:</strong> {iglesia}</div>
-                            </div>
-                            {/* Toggle de asistencia */}
-                            <div 
-                              className={styles.attendanceToggle}
-                              onClick={() => toggleAttendance(member)}
-                            >
-                              <input
-                                type="checkbox"
-                                checked={!!attendance[getParticipantKey(member, headers)]}
-                                readOnly
-                              />
-                              <span className={
-                                attendance[getParticipantKey(member, headers)] 
-                                  ? styles.attendancePresent 
-                                  : styles.attendanceAbsent
-                              }>
-                                {attendance[getParticipantKey(member, headers)] ? 'Presente' : 'Ausente'}
-                              </span>
-                            </div>
-                          </div>
-                        );
-                      })
-                    )}
+                </div>
+              )}
+
+              {identityReviews.length > 0 && !showIdentityReview && (
+                <div className={styles.violationsBanner}>
+                  <AlertTriangle size={16} />
+                  <div>
+                    <strong>
+                      {identityReviews.length === 1
+                        ? '1 persona podría estar registrada con otros datos'
+                        : `${identityReviews.length} personas podrían estar registradas con otros datos`}
+                    </strong>
+                    <div>
+                      <button type="button" className={styles.linkBtn} onClick={() => setShowIdentityReview(true)}>
+                        Revisar
+                      </button>
+                    </div>
                   </div>
                 </div>
-              );
-            })}
-          </div>
+              )}
+
+              {showIdentityReview && (
+                <IdentityReview
+                  reviews={identityReviews}
+                  assignments={assignments}
+                  attendance={getPresentAnywhere(attendance)}
+                  colors={COLORS}
+                  onResolve={resolveIdentityReview}
+                  onClose={() => setShowIdentityReview(false)}
+                />
+              )}
+
+              {showSettings && (
+                <TeamSettings
+                  teamConfig={teamConfig}
+                  balanceConfig={balanceConfig}
+                  onSave={saveTeamConfig}
+                  onClose={() => setShowSettings(false)}
+                />
+              )}
+            </>
+          )}
+
+          {isAdmin && route.page === 'stats' && (
+            <StatsDashboard
+              stats={buildCampStats({
+                teams,
+                teamNames: TEAM_NAMES,
+                staff,
+                participants,
+                mapping: columnMapping,
+                balanceConfig,
+                getKey,
+                attendance,
+                sessions
+              })}
+              teamNames={TEAM_NAMES}
+              colors={COLORS}
+              selectedSession={selectedSession}
+              balance={balanceScores}
+              draw={draw}
+              refreshedAt={statsRefreshedAt}
+            />
+          )}
+
+          {isAdmin && route.page === 'shirts' && (
+            <ShirtReport
+              report={buildShirtReport(
+                [
+                  ...TEAM_NAMES.map(team => ({ name: team, members: teams?.[team] || [] })),
+                  { name: 'Staff', members: staff }
+                ],
+                columnMapping,
+                getKey
+              )}
+              colors={COLORS}
+            />
+          )}
+
+          {isAdmin && route.page === 'payments' && (
+            <PaymentsPanel
+              participants={participants.filter(p => !staffKeys.has(getKey(p)))}
+              mapping={columnMapping}
+              getKey={getKey}
+              getTeam={getTeam}
+              teamNames={TEAM_NAMES}
+              colors={COLORS}
+              payments={payments}
+              fee={paymentFee}
+              onSavePayment={savePayment}
+              onSaveFee={savePaymentFee}
+            />
+          )}
+
+          {isAdmin && route.page === 'scores' && (
+            <ScoreboardPanel
+              scores={scores}
+              teamNames={TEAM_NAMES}
+              colors={COLORS}
+              onAdd={addTeamScores}
+              onUndo={undoTeamScore}
+            />
+          )}
+
+          {route.page === 'leaderboard' && (
+            <Leaderboard scores={scores} teamNames={TEAM_NAMES} colors={COLORS} />
+          )}
+
+          {isAdmin && route.page === 'cabins' && (
+            <CabinPanel
+              cabins={cabins}
+              people={participants.map(p => ({
+                key: getKey(p),
+                name: getField(p, columnMapping, 'name') || '—',
+                team: getTeam(p),
+                ...getCabinProfile(p, columnMapping)
+              }))}
+              assignments={cabinAssignments}
+              locked={cabinLocked}
+              colors={COLORS}
+              onSaveCabins={saveCabins}
+              onAllocate={assignCabins}
+              onMove={moveToCabin}
+              onUnlock={unlockCabin}
+            />
+          )}
+
+          {isAdmin && route.page === 'whatsapp' && (
+            <WhatsAppNotifier
+              people={participants.map(p => {
+                const key = getKey(p);
+                const phone = getField(p, columnMapping, 'phone');
+                return {
+                  key,
+                  name: getField(p, columnMapping, 'name') || '—',
+                  team: getTeam(p),
+                  cabin: cabins.find(c => c.id === cabinAssignments[key])?.name,
+                  phone,
+                  number: toWhatsAppNumber(phone)
+                };
+              })}
+              template={messageTemplate}
+              notified={notified}
+              teamNames={TEAM_NAMES}
+              colors={COLORS}
+              onSaveTemplate={saveMessageTemplate}
+              onMarkNotified={markNotified}
+            />
+          )}
+
+          {isAdmin && route.page === 'staff' && (
+            <StaffPanel
+              people={staffPeople}
+              duties={staffDuties}
+              teamNames={TEAM_NAMES}
+              colors={COLORS}
+              onAdd={addStaff}
+              onRemove={removeStaff}
+              onSetDuty={saveStaffDuty}
+            />
+          )}
+
+          {isAdmin && route.page === 'checkIn' && (
+            <>
+              {sessionBar}
+              <CheckInStation
+                resolveCode={resolveCheckInCode}
+                isCheckedIn={key => isPresent(attendanceRef.current, selectedSession, key)}
+                onCheckIn={key => savePresence(key, true)}
+                sessionName={sessions.find(s => s.id === selectedSession)?.name}
+                colors={COLORS}
+              />
+            </>
+          )}
+
+          {isAdmin && route.page === 'rollCall' && (
+            <>
+              {sessionBar}
+              <RollCall
+                participants={participants}
+                mapping={columnMapping}
+                getKey={getKey}
+                getTeam={getTeam}
+                teamNames={TEAM_NAMES}
+                colors={COLORS}
+                attendance={attendance}
+                session={selectedSession}
+                onToggle={toggleAttendance}
+              />
+            </>
+          )}
+
+          {/* Equipos: muestran edad, iglesia, talla y asistencia */}
+          {isAdmin && route.page === 'teams' && (
+            <>
+              {sessionBar}
+              <div className={styles.teamsGrid}>
+                {TEAM_NAMES.map(teamName => (
+                  <TeamColumn
+                    key={teamName}
+                    {...teamColumnProps(teamName)}
+                    title={
+                      <a {...linkProps(routePath('team', teamName), navigate)} className={styles.teamLink}>
+                        Equipo {teamName}
+                      </a>
+                    }
+                  />
+                ))}
+              </div>
 
-          <button onClick={downloadExcel} className={styles.downloadBtn}>
-            <Download size={16} /> Descargar Equipos en Excel
-          </button>
+              <div className={styles.adminToolbar}>
+                <button type="button" onClick={() => printTeamDocuments('badges', TEAM_NAMES, true)}>
+                  <IdCard size={14} /> Imprimir credenciales
+                </button>
+                <button type="button" onClick={() => printTeamDocuments('rosters', TEAM_NAMES, true)}>
+                  <Printer size={14} /> Imprimir listas por equipo
+                </button>
+              </div>
+
+              <button onClick={downloadExcel} className={styles.downloadBtn}>
+                <Download size={16} /> Descargar Equipos en Excel
+              </button>
+            </>
+          )}
+
+          {/* Página de un equipo, para que cada líder la guarde en favoritos. Es pública: sin
+              modo administrador muestra solo los nombres, sin datos personales ni controles */}
+          {route.page === 'team' && (
+            routeTeam ? (
+              <>
+                {isAdmin && sessionBar}
+                {!isAdmin && notDrawn && (
+                  <p className={styles.settingsHint} style={{ textAlign: 'center' }}>
+                    Los equipos todavía no se sortearon. Vuelve a consultar más tarde.
+                  </p>
+                )}
+                <div className={styles.teamPage}>
+                  <TeamColumn
+                    {...teamColumnProps(routeTeam)}
+                    balance={isAdmin ? balanceScores.teams[routeTeam] : null}
+                    readOnly={!isAdmin}
+                  />
+                </div>
+                {isAdmin && (
+                  <div className={styles.adminToolbar} style={{ justifyContent: 'center' }}>
+                    <button type="button" onClick={() => printTeamDocuments('badges', [routeTeam], false)}>
+                      <IdCard size={14} /> Imprimir credenciales
+                    </button>
+                    <button type="button" onClick={() => printTeamDocuments('rosters', [routeTeam], false)}>
+                      <Printer size={14} /> Imprimir lista
+                    </button>
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className={styles.searchSection} style={{ textAlign: 'center' }}>
+                <p>No existe un equipo con esa dirección.</p>
+                <a {...linkProps(routePath(isAdmin ? 'teams' : 'lookup'), navigate)} className={styles.linkBtn}>
+                  {isAdmin ? 'Ver todos los equipos' : 'Volver al buscador'}
+                </a>
+              </div>
+            )
+          )}
+
+          {route.page === 'lookup' && (
+            <ParticipantSearch
+              people={participants.map(p => {
+                const key = getKey(p);
+                return {
+                  key,
+                  participant: p,
+                  name: getField(p, columnMapping, 'name') || '—',
+                  phone: getField(p, columnMapping, 'phone'),
+                  // La iglesia solo se muestra en modo administrador
+                  church: isAdmin ? getField(p, columnMapping, 'church').trim() : '',
+                  team: getTeam(p),
+                  cabin: cabins.find(c => c.id === cabinAssignments[key])?.name,
+                  isStaff: isStaffParticipant(p, columnMapping)
+                };
+              })}
+              teamNames={TEAM_NAMES}
+              colors={COLORS}
+              isAdmin={isAdmin}
+              isPresent={key => isPresent(attendance, selectedSession, key)}
+              sessionName={sessions.find(ses => ses.id === selectedSession)?.name}
+              onToggleAttendance={toggleAttendance}
+              navigate={navigate}
+            >
+              {!isAdmin && draw && (
+                <p className={styles.settingsHint} style={{ textAlign: 'center' }}>
+                  Equipos sorteados con la semilla {draw.seed}
+                </p>
+              )}
+              {!isAdmin && notDrawn && (
+                <p className={styles.settingsHint} style={{ textAlign: 'center' }}>
+                  Los equipos todavía no se sortearon. Vuelve a consultar más tarde.
+                </p>
+              )}
+            </ParticipantSearch>
+          )}
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
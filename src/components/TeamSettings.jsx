@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Save, X } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import { MIN_TEAMS, MAX_TEAMS, suggestTeam, normalizeTeamConfig } from '../utils/teamConfig';
+import { ATTRIBUTE_LABELS, normalizeBalanceConfig, getAgeBand } from '../utils/balancing';
+
+/**
+ * Panel de ajustes del evento: cantidad de equipos, nombre, colores, coordinadores fijos y
+ * criterios de equilibrio
+ */
+export default function TeamSettings({ teamConfig, balanceConfig, onSave, onClose }) {
+  // Los coordinadores se editan como texto separado por comas
+  const [draft, setDraft] = useState(() =>
+    teamConfig.map(t => ({ ...t, prevName: t.name, coordinatorsText: t.coordinators.join(', ') }))
+  );
+  const [balance, setBalance] = useState(balanceConfig);
+  const [bandsText, setBandsText] = useState(balanceConfig.ageBands.join(', '));
+  const [error, setError] = useState(null);
+
+  // Vista previa de los rangos de edad que resultan de los límites escritos
+  const parsedBands = normalizeBalanceConfig({ ageBands: bandsText.split(/[,;\s]+/) }).ageBands;
+  const bandLabels = [
+    ...parsedBands.map(limit => getAgeBand(limit, parsedBands)),
+    getAgeBand((parsedBands[parsedBands.length - 1] || 0) + 1, parsedBands)
+  ];
+
+  const updateTeam = (index, field, value) => {
+    setDraft(prev => prev.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  };
+
+  const changeCount = (count) => {
+    const n = Math.max(MIN_TEAMS, Math.min(MAX_TEAMS, Number(count) || MIN_TEAMS));
+    setDraft(prev => {
+      if (n <= prev.length) return prev.slice(0, n);
+      const next = [...prev];
+      while (next.length < n) {
+        next.push({ ...suggestTeam(next.length, next.map(t => t.name)), coordinatorsText: '' });
+      }
+      return next;
+    });
+  };
+
+  const removeTeam = (index) => {
+    if (draft.length <= MIN_TEAMS) return;
+    setDraft(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    const names = draft.map(t => t.name.trim().toLowerCase());
+    if (names.some(n => !n)) {
+      setError('Todos los equipos necesitan un nombre.');
+      return;
+    }
+    if (new Set(names).size !== names.length) {
+      setError('Los nombres de los equipos no se pueden repetir.');
+      return;
+    }
+    setError(null);
+
+    // Equipos existentes que cambiaron de nombre, para no perder sus asignaciones
+    const renames = draft.reduce((acc, t) => {
+      if (t.prevName && t.prevName !== t.name.trim()) acc[t.prevName] = t.name.trim();
+      return acc;
+    }, {});
+    const config = normalizeTeamConfig(draft.map(({ name, color, bg, coordinatorsText }) => ({
+      name: name.trim(),
+      color,
+      bg,
+      coordinators: coordinatorsText.split(',')
+    })));
+    onSave(config, renames, normalizeBalanceConfig({ ...balance, ageBands: parsedBands }));
+  };
+
+  return (
+    <div className={styles.settingsPanel}>
+      <div className={styles.settingsHeader}>
+        <h3>Configuración de equipos</h3>
+        <button type="button" className={styles.iconBtn} onClick={onClose} title="Cerrar">
+          <X size={16} />
+        </button>
+      </div>
+
+      <label className={styles.settingsRow}>
+        <span>Cantidad de equipos:</span>
+        <input
+          type="number"
+          min={MIN_TEAMS}
+          max={MAX_TEAMS}
+          value={draft.length}
+          onChange={(e) => changeCount(e.target.value)}
+        />
+      </label>
+
+      <div className={styles.settingsTeams}>
+        {draft.map((team, i) => (
+          <div key={i} className={styles.settingsTeam} style={{ backgroundColor: team.bg, borderColor: team.color }}>
+            <input
+              type="text"
+              value={team.name}
+              onChange={(e) => updateTeam(i, 'name', e.target.value)}
+              placeholder={`Equipo ${i + 1}`}
+            />
+            <label title="Color principal">
+              <input type="color" value={team.color} onChange={(e) => updateTeam(i, 'color', e.target.value)} />
+            </label>
+            <label title="Color de fondo">
+              <input type="color" value={team.bg} onChange={(e) => updateTeam(i, 'bg', e.target.value)} />
+            </label>
+            <button
+              type="button"
+              className={styles.iconBtn}
+              onClick={() => removeTeam(i)}
+              disabled={draft.length <= MIN_TEAMS}
+              title="Quitar equipo"
+            >
+              <Trash2 size={14} />
+            </button>
+            <input
+              type="text"
+              className={styles.settingsCoordinators}
+              value={team.coordinatorsText}
+              onChange={(e) => updateTeam(i, 'coordinatorsText', e.target.value)}
+              placeholder="Coordinadores fijos, separados por comas"
+              title="Coordinadores fijos: no se reasignan en el sorteo"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className={styles.settingsSection}>
+        <h4>Equilibrar equipos por</h4>
+        <div className={styles.settingsChecks}>
+          {Object.entries(ATTRIBUTE_LABELS).map(([attr, label]) => (
+            <label key={attr}>
+              <input
+                type="checkbox"
+                checked={balance[attr]}
+                onChange={(e) => setBalance(prev => ({ ...prev, [attr]: e.target.checked }))}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <label className={styles.settingsRow}>
+          <span>Límites de edad:</span>
+          <input
+            type="text"
+            value={bandsText}
+            onChange={(e) => setBandsText(e.target.value)}
+            placeholder="14, 17, 21"
+            disabled={!balance.age}
+            style={{ width: '9rem' }}
+          />
+        </label>
+        {balance.age && (
+          <p className={styles.settingsHint} style={{ marginTop: 0 }}>
+            Rangos: {bandLabels.join(' · ')}
+          </p>
+        )}
+      </div>
+
+      {error && <p className={styles.settingsError}>{error}</p>}
+
+      <div className={styles.settingsActions}>
+        <button type="button" onClick={() => changeCount(draft.length + 1)} disabled={draft.length >= MAX_TEAMS}>
+          <Plus size={14} /> Agregar equipo
+        </button>
+        <button type="button" onClick={handleSave}>
+          <Save size={14} /> Guardar
+        </button>
+      </div>
+      <p className={styles.settingsHint}>
+        Los participantes de equipos eliminados se redistribuyen en los equipos restantes.
+      </p>
+    </div>
+  );
+}
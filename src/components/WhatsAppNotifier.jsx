@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { MessageCircle, Save, SkipForward, AlertTriangle } from 'lucide-react';
+import styles from './TeamDividir.module.css';
+import {
+  MESSAGE_PLACEHOLDERS,
+  fillTemplate,
+  getWhatsAppLink
+} from '../utils/whatsapp';
+
+const formatDate = (iso) => new Date(iso).toLocaleString('es-BO');
+
+/**
+ * Avisos por WhatsApp: plantilla editable, enlaces wa.me por participante y seguimiento de a
+ * quién ya se avisó. Los números inválidos o faltantes se listan aparte
+ *
+ * @param {Array<{ key, name, team, cabin, phone, number }>} people - number es null si el
+ *   celular no es válido
+ */
+export default function WhatsAppNotifier({
+  people,
+  template,
+  notified,
+  teamNames,
+  colors,
+  onSaveTemplate,
+  onMarkNotified
+}) {
+  const [draft, setDraft] = useState(template);
+  const [teamFilter, setTeamFilter] = useState('');
+  const [onlyPending, setOnlyPending] = useState(true);
+
+  const valid = people.filter(p => p.number);
+  const invalid = people.filter(p => !p.number);
+  const sentCount = valid.filter(p => notified[p.key]).length;
+
+  const messageFor = (person) => fillTemplate(draft, {
+    nombre: person.name,
+    equipo: person.team,
+    cabaña: person.cabin || 'por confirmar'
+  });
+
+  const rows = valid
+    .filter(p => !teamFilter || p.team === teamFilter)
+    .filter(p => !onlyPending || !notified[p.key]);
+
+  const open = (person) => {
+    window.open(getWhatsAppLink(person.number, messageFor(person)), '_blank', 'noopener');
+    if (!notified[person.key]) onMarkNotified(person.key, true);
+  };
+
+  return (
+    <>
+      <div className={styles.searchSection}>
+        <h3>Mensaje</h3>
+        <textarea
+          className={styles.messageTemplate}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          rows={4}
+        />
+        <p className={styles.settingsHint}>
+          Marcadores disponibles: {MESSAGE_PLACEHOLDERS.join(', ')}
+        </p>
+        {valid[0] && (
+          <p className={styles.messagePreview}>
+            <strong>Vista previa:</strong> {messageFor(valid[0])}
+          </p>
+        )}
+        <div className={styles.settingsActions}>
+          <button type="button" onClick={() => onSaveTemplate(draft)} disabled={draft === template || !draft.trim()}>
+            <Save size={14} /> Guardar mensaje
+          </button>
+        </div>
+      </div>
+
+      <div className={styles.searchSection}>
+        <h3>
+          Avisados: {sentCount}/{valid.length}
+        </h3>
+        <div className={styles.rollCallFilters}>
+          <select value={teamFilter} onChange={(e) => setTeamFilter(e.target.value)}>
+            <option value="">Todos los equipos</option>
+            {teamNames.map(t => (
+              <option key={t} value={t}>Equipo {t}</option>
+            ))}
+            <option value="Staff">Staff</option>
+          </select>
+          <label>
+            <input type="checkbox" checked={onlyPending} onChange={(e) => setOnlyPending(e.target.checked)} />
+            Solo pendientes
+          </label>
+          <div className={styles.settingsActions} style={{ marginTop: 0 }}>
+            <button
+              type="button"
+              onClick={() => open(rows.find(p => !notified[p.key]))}
+              disabled={!rows.some(p => !notified[p.key])}
+              title="Abre WhatsApp con el siguiente pendiente de la lista"
+            >
+              <SkipForward size={14} /> Siguiente pendiente
+            </button>
+          </div>
+        </div>
+
+        {rows.length === 0 ? (
+          <p className={styles.settingsHint}>No hay nadie pendiente con este filtro.</p>
+        ) : (
+          <ul className={styles.paymentList}>
+            {rows.map(person => (
+              <li key={person.key}>
+                <input
+                  type="checkbox"
+                  checked={!!notified[person.key]}
+                  onChange={(e) => onMarkNotified(person.key, e.target.checked)}
+                  title="Ya se le avisó"
+                />
+                <span className={styles.rollCallName}>
+                  {person.name}
+                  {notified[person.key] && <small> · avisado {formatDate(notified[person.key])}</small>}
+                </span>
+                <span
+                  className={styles.teamCount}
+                  style={{ backgroundColor: colors[person.team]?.color || '#6b7280', color: 'white' }}
+                >
+                  {person.team}
+                </span>
+                <button type="button" className={styles.whatsappBtn} onClick={() => open(person)}>
+                  <MessageCircle size={14} /> +{person.number}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {invalid.length > 0 && (
+        <div className={styles.violationsBanner}>
+          <AlertTriangle size={16} />
+          <div>
+            <strong>
+              {invalid.length === 1
+                ? '1 participante sin celular válido'
+                : `${invalid.length} participantes sin celular válido`}
+            </strong>
+            <ul>
+              {invalid.map(person => (
+                <li key={person.key}>
+                  {person.name} ({person.team}): {person.phone ? `"${person.phone}"` : 'sin número'}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
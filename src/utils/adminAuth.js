@@ -0,0 +1,55 @@
+// Modo administrador: se desbloquea con un PIN o frase. Sin desbloquear, la página solo
+// permite buscar en qué equipo está cada campista
+
+export const ADMIN_SESSION_KEY = 'admin_unlocked_v1';
+
+// La clave ingresada, para enviarla al servidor al guardar (el servidor la vuelve a verificar)
+const ADMIN_TOKEN_KEY = 'admin_token_v1';
+
+// SHA-256 de la clave de administrador (cambiarla con VITE_ADMIN_PIN_HASH; el servidor usa ADMIN_PIN_HASH)
+const ADMIN_PIN_HASH = (
+  import.meta.env.VITE_ADMIN_PIN_HASH || '59b290bc7739a5b459f9ba3f6a78e36e65428d0347044e4d3414e4b0539a6ab6'
+).toLowerCase();
+
+// Intentos fallidos permitidos antes de esperar
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_MS = 30000;
+
+/**
+ * SHA-256 de la clave en hexadecimal
+ */
+export const hashPin = async (pin) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(pin.trim()));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Indica si la clave es la de administrador
+ */
+export const verifyPin = async (pin) => (await hashPin(pin)) === ADMIN_PIN_HASH;
+
+/**
+ * Indica si el modo administrador quedó desbloqueado en esta pestaña
+ * (si la clave cambia, hay que volver a ingresarla)
+ */
+export const loadAdminSession = () =>
+  sessionStorage.getItem(ADMIN_SESSION_KEY) === ADMIN_PIN_HASH && !!sessionStorage.getItem(ADMIN_TOKEN_KEY);
+
+/**
+ * @param {boolean} unlocked
+ * @param {string} [pin] - clave ingresada, para guardar en el servidor
+ */
+export const saveAdminSession = (unlocked, pin) => {
+  if (unlocked) {
+    sessionStorage.setItem(ADMIN_SESSION_KEY, ADMIN_PIN_HASH);
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, pin.trim());
+  } else {
+    sessionStorage.removeItem(ADMIN_SESSION_KEY);
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+  }
+};
+
+/**
+ * Clave de administrador de esta pestaña (null en modo público)
+ */
+export const loadAdminToken = () => sessionStorage.getItem(ADMIN_TOKEN_KEY);
@@ -0,0 +1,133 @@
+import QRCode from 'qrcode';
+import { hashString } from './draw';
+import { escapeHtml, printDocument } from './print';
+
+// Credenciales y listas por equipo para imprimir (o guardar como PDF desde el diálogo de
+// impresión). Todo se arma en el navegador, sin servicios externos
+
+const STAFF_COLOR = '#475569';
+
+/**
+ * Código del QR de la credencial: la clave del participante si es corta y sin espacios ni
+ * acentos (los lectores tipo teclado la escriben tal cual); si no, una huella de la clave
+ */
+export const getBadgeCode = (key) =>
+  (/^[\x21-\x7e]{1,40}$/.test(key) ? key : `K-${hashString(key).toUpperCase()}`);
+
+/**
+ * Busca la clave que corresponde a un código leído de una credencial. También acepta la clave
+ * escrita a mano; no distingue mayúsculas porque algunos lectores cambian las letras
+ *
+ * @param {string} code - texto leído o escrito
+ * @param {Array<string>} keys - claves de los participantes
+ * @returns {string|null}
+ */
+export const findKeyByBadgeCode = (code, keys) => {
+  const wanted = code.trim().toUpperCase();
+  if (!wanted) return null;
+  return keys.find(key => getBadgeCode(key).toUpperCase() === wanted || key.toUpperCase() === wanted) ?? null;
+};
+
+/**
+ * QR como SVG. Se arma de forma sincrónica para abrir la ventana de impresión dentro del
+ * clic (los navegadores bloquean las ventanas abiertas después de esperar)
+ */
+const qrSvg = (text) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  let path = '';
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) path += `M${col} ${row}h1v1h-1z`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${modules.size} ${modules.size}" shape-rendering="crispEdges"><path d="${path}"/></svg>`;
+};
+
+const BADGE_STYLES = `
+  body { margin: 0; }
+  .sheet { display: grid; grid-template-columns: repeat(2, 9cm); grid-auto-rows: 6cm; gap: 0.4cm; justify-content: center; }
+  .badge { display: flex; flex-direction: column; border: 1px dashed #94a3b8; border-radius: 8px; overflow: hidden; break-inside: avoid; }
+  .band { display: flex; align-items: center; justify-content: space-between; padding: 0.15cm 0.3cm; color: white; font-weight: 800; font-size: 13pt; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .band img { height: 0.9cm; }
+  .body { flex: 1; display: flex; align-items: center; gap: 0.3cm; padding: 0.3cm; }
+  .name { flex: 1; font-size: 16pt; font-weight: 800; line-height: 1.15; }
+  .church { display: block; margin-top: 0.15cm; font-size: 9pt; font-weight: 400; color: #475569; }
+  .qr { width: 2.6cm; text-align: center; }
+  .qr svg { width: 2.6cm; height: 2.6cm; }
+  .code { font-size: 6pt; color: #64748b; word-break: break-all; }
+`;
+
+/**
+ * Imprime credenciales: nombre, color del equipo, logo del campamento y un QR con el
+ * código del participante
+ *
+ * @param {Array<{ key, name, team, church }>} people
+ * @param {Object} colors - colores de los equipos
+ * @param {string} logoUrl - logo del campamento (28.png)
+ * @returns {boolean} false si el navegador bloqueó la ventana
+ */
+export const printBadges = (people, colors, logoUrl) => {
+  const logo = new URL(logoUrl, window.location.href).href;
+  const badges = people.map(person => {
+    const code = getBadgeCode(person.key);
+    const color = colors[person.team]?.color || STAFF_COLOR;
+    return `<div class="badge">
+      <div class="band" style="background:${escapeHtml(color)}">
+        <span>${escapeHtml(person.team === 'Staff' ? 'STAFF' : `Equipo ${person.team}`)}</span>
+        <img src="${escapeHtml(logo)}" alt="AGIOS 2.8">
+      </div>
+      <div class="body">
+        <div class="name">${escapeHtml(person.name)}${person.church ? `<span class="church">${escapeHtml(person.church)}</span>` : ''}</div>
+        <div class="qr">${qrSvg(code)}<div class="code">${escapeHtml(code)}</div></div>
+      </div>
+    </div>`;
+  });
+
+  return printDocument('Credenciales AGIOS 2.8', `<div class="sheet">${badges.join('')}</div>`, BADGE_STYLES);
+};
+
+const ROSTER_STYLES = `
+  .title { display: flex; align-items: center; justify-content: space-between; padding: 0.3cm 0.5cm; margin-bottom: 0.4cm; color: white; border-radius: 6px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .title h1 { margin: 0; }
+  .title img { height: 1.2cm; }
+  td.check { width: 2.2cm; text-align: center; font-size: 14pt; }
+`;
+
+/**
+ * Imprime una lista por equipo (una página cada una) con una columna para marcar asistencia
+ *
+ * @param {Array<{ team, members: Array<{ name, age, church, phone }> }>} rosters
+ * @param {Object} colors - colores de los equipos
+ * @param {string} logoUrl - logo del campamento
+ * @param {string} sessionName - sesión que se anotará en la columna de asistencia
+ * @returns {boolean} false si el navegador bloqueó la ventana
+ */
+export const printRosters = (rosters, colors, logoUrl, sessionName) => {
+  const logo = new URL(logoUrl, window.location.href).href;
+  const pages = rosters.map(({ team, members }) => {
+    const rows = members
+      .map((m, i) => `<tr>
+        <td>${i + 1}</td>
+        <td>${escapeHtml(m.name)}</td>
+        <td>${escapeHtml(m.age)}</td>
+        <td>${escapeHtml(m.church)}</td>
+        <td>${escapeHtml(m.phone)}</td>
+        <td class="check">☐</td>
+      </tr>`)
+      .join('');
+    return `<section class="page">
+      <div class="title" style="background:${escapeHtml(colors[team]?.color || STAFF_COLOR)}">
+        <h1>${escapeHtml(team === 'Staff' ? 'Staff' : `Equipo ${team}`)} · ${members.length}</h1>
+        <img src="${escapeHtml(logo)}" alt="AGIOS 2.8">
+      </div>
+      <table>
+        <thead>
+          <tr><th>#</th><th>Nombre</th><th>Edad</th><th>Iglesia</th><th>Celular</th><th>${escapeHtml(sessionName)}</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </section>`;
+  });
+
+  return printDocument('Listas por equipo AGIOS 2.8', pages.join(''), ROSTER_STYLES);
+};
@@ -0,0 +1,349 @@
+import { getField } from './columnMapping';
+import { normalizeText } from './text';
+import { buildTogetherGroups, buildApartMap } from './constraints';
+
+// Motor de equilibrio: reparte participantes nuevos entre los equipos según género,
+// rango de edad e iglesia, respetando a quienes ya tienen equipo
+
+export const BALANCE_CONFIG_KEY = 'balance_config_v1';
+
+export const DEFAULT_BALANCE_CONFIG = {
+  gender: true,
+  age: true,
+  church: true,
+  // Límites superiores de cada rango de edad: hasta 14, 15–17, 18–21, 22+
+  ageBands: [14, 17, 21]
+};
+
+// Peso de cada atributo: el género pesa más que la edad y la edad más que la iglesia
+const WEIGHTS = { gender: 3, age: 2, church: 1 };
+
+export const ATTRIBUTE_LABELS = { gender: 'Género', age: 'Edad', church: 'Iglesia' };
+
+/**
+ * Valida y limpia una configuración de equilibrio
+ */
+export const normalizeBalanceConfig = (config) => {
+  const base = { ...DEFAULT_BALANCE_CONFIG, ...(config || {}) };
+  const bands = (Array.isArray(base.ageBands) ? base.ageBands : DEFAULT_BALANCE_CONFIG.ageBands)
+    .map(Number)
+    .filter(n => Number.isFinite(n) && n > 0);
+  return {
+    gender: !!base.gender,
+    age: !!base.age,
+    church: !!base.church,
+    ageBands: [...new Set(bands)].sort((a, b) => a - b)
+  };
+};
+
+/**
+ * Lee la configuración de equilibrio guardada en este dispositivo
+ */
+export const loadLocalBalanceConfig = () => {
+  try {
+    return normalizeBalanceConfig(JSON.parse(localStorage.getItem(BALANCE_CONFIG_KEY) || 'null'));
+  } catch {
+    return normalizeBalanceConfig(null);
+  }
+};
+
+/**
+ * Guarda la configuración de equilibrio en este dispositivo
+ */
+export const saveLocalBalanceConfig = (config) => {
+  localStorage.setItem(BALANCE_CONFIG_KEY, JSON.stringify(config));
+};
+
+/**
+ * Clasifica el género en hombre / mujer / otro
+ */
+export const getGenderCategory = (participant, mapping) => {
+  const genero = getField(participant, mapping, 'gender').toLowerCase().trim();
+  if (genero.includes('masculino') || genero.includes('hombre') || genero === 'm') return 'Hombres';
+  if (genero.includes('femenino') || genero.includes('mujer') || genero === 'f') return 'Mujeres';
+  return 'Otros';
+};
+
+/**
+ * Extrae la edad como número ("15 años" → 15); null si no hay
+ */
+export const parseAge = (value) => {
+  const match = String(value || '').match(/\d+/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * Nombre del rango de edad según los límites configurados
+ */
+export const getAgeBand = (age, bands) => {
+  if (age === null) return 'Sin edad';
+  let from = 0;
+  for (const limit of bands) {
+    if (age <= limit) return from === 0 ? `Hasta ${limit}` : `${from}–${limit}`;
+    from = limit + 1;
+  }
+  return from === 0 ? 'Todas' : `${from}+`;
+};
+
+/**
+ * Categorías de un participante para cada atributo de equilibrio
+ */
+export const getBalanceCategories = (participant, mapping, config) => ({
+  gender: getGenderCategory(participant, mapping),
+  age: getAgeBand(parseAge(getField(participant, mapping, 'age')), config.ageBands),
+  church: normalizeText(getField(participant, mapping, 'church')) || 'sin iglesia'
+});
+
+/**
+ * Baraja una lista (Fisher–Yates)
+ */
+export const shuffle = (arr, random = Math.random) => {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+const activeAttributes = (config) => Object.keys(WEIGHTS).filter(attr => config[attr]);
+
+/**
+ * Equipo que más se repite en una lista
+ */
+const mostCommon = (teams) => {
+  const counts = teams.reduce((acc, t) => ({ ...acc, [t]: (acc[t] || 0) + 1 }), {});
+  return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+};
+
+/**
+ * Reparte a los participantes pendientes entre los equipos.
+ *
+ * Cada persona va a uno de los equipos más pequeños (así los tamaños se mantienen
+ * parejos); entre ellos se elige el que tenga menos personas de su misma categoría,
+ * ponderando género > edad > iglesia. Se procesan agrupados por género y edad para que
+ * cada grupo se reparta de forma pareja.
+ *
+ * Las reglas "juntos" se ubican como una sola unidad y las reglas "separados" descartan
+ * los equipos donde ya está la otra persona. Si alguien ya ubicado (y no fijo) rompe una
+ * regla, se vuelve a ubicar. Lo que no se pueda cumplir queda para findViolations.
+ *
+ * @param {Object} options
+ * @param {Array} options.pending - participantes sin equipo
+ * @param {Array<{participant, team, fixed}>} options.placed - participantes que ya tienen equipo
+ * @param {string[]} options.teamNames
+ * @param {Function} options.getKey - clave del participante
+ * @param {Function} options.getCategories - categorías de equilibrio del participante
+ * @param {Object} options.config - configuración de equilibrio
+ * @param {Array} [options.rules] - reglas juntos/separados
+ * @param {Function} [options.random] - generador aleatorio (para sorteos con semilla)
+ * @returns {Object} { [clave]: equipo } para los pendientes y los reubicados
+ */
+export const distributeParticipants = ({ pending, placed, teamNames, getKey, getCategories, config, rules = [], random = Math.random }) => {
+  const attributes = activeAttributes(config);
+  const sizes = teamNames.reduce((acc, name) => ({ ...acc, [name]: 0 }), {});
+  const counts = attributes.reduce((acc, attr) => {
+    acc[attr] = teamNames.reduce((t, name) => ({ ...t, [name]: {} }), {});
+    return acc;
+  }, {});
+  const teamOf = new Map();
+  const result = {};
+
+  const addToTeam = (team, categories) => {
+    sizes[team]++;
+    attributes.forEach(attr => {
+      const byCategory = counts[attr][team];
+      byCategory[categories[attr]] = (byCategory[categories[attr]] || 0) + 1;
+    });
+  };
+
+  // Reglas sobre las personas presentes
+  const placedByKey = new Map(
+    placed.filter(e => sizes[e.team] !== undefined).map(e => [getKey(e.participant), e])
+  );
+  const presentKeys = new Set([...pending.map(getKey), ...placedByKey.keys()]);
+  const groups = buildTogetherGroups(rules, presentKeys);
+  const apart = buildApartMap(rules);
+  const released = [];
+
+  const release = (key) => {
+    const entry = placedByKey.get(key);
+    if (!entry || entry.fixed) return false;
+    placedByKey.delete(key);
+    released.push(entry.participant);
+    return true;
+  };
+
+  // Grupos "juntos" ya repartidos en varios equipos: traer a todos al equipo principal
+  groups.forEach(group => {
+    const entries = group.filter(k => placedByKey.has(k)).map(k => [k, placedByKey.get(k)]);
+    if (new Set(entries.map(([, e]) => e.team)).size <= 1) return;
+    const fixedEntry = entries.find(([, e]) => e.fixed);
+    const anchor = fixedEntry ? fixedEntry[1].team : mostCommon(entries.map(([, e]) => e.team));
+    entries.forEach(([k, e]) => {
+      if (e.team !== anchor) release(k);
+    });
+  });
+
+  // Pares "separados" que comparten equipo: reubicar a uno de los dos
+  [...placedByKey.keys()].forEach(key => {
+    (apart.get(key) || new Set()).forEach(other => {
+      const a = placedByKey.get(key);
+      const b = placedByKey.get(other);
+      if (!a || !b || a.team !== b.team) return;
+      if (!release(other)) release(key);
+    });
+  });
+
+  // Grupos "juntos" que ya tienen equipo: sacar de ahí a quien deba estar separado de ellos
+  groups.forEach(group => {
+    const anchor = group.map(k => placedByKey.get(k)).find(Boolean);
+    if (!anchor) return;
+    group.forEach(key => {
+      (apart.get(key) || new Set()).forEach(other => {
+        if (group.includes(other)) return;
+        if (placedByKey.get(other)?.team === anchor.team) release(other);
+      });
+    });
+  });
+
+  placedByKey.forEach((entry, key) => {
+    teamOf.set(key, entry.team);
+    addToTeam(entry.team, getCategories(entry.participant));
+  });
+
+  const place = (members, team) => {
+    members.forEach(p => {
+      const key = getKey(p);
+      result[key] = team;
+      teamOf.set(key, team);
+      addToTeam(team, getCategories(p));
+    });
+  };
+
+  const hasConflict = (team, keys) =>
+    keys.some(k => [...(apart.get(k) || [])].some(other => teamOf.get(other) === team));
+
+  // Equipo más pequeño sin conflictos; entre los empatados, el de menor costo por categorías
+  const chooseTeam = (members) => {
+    const keys = members.map(getKey);
+    const categories = members.map(getCategories);
+    const allowed = teamNames.filter(t => !hasConflict(t, keys));
+    const pool = allowed.length > 0 ? allowed : teamNames;
+    const minSize = Math.min(...pool.map(t => sizes[t]));
+    const candidates = shuffle(pool.filter(t => sizes[t] === minSize), random);
+
+    const cost = (team) => categories.reduce((total, cats) => total + attributes.reduce(
+      (sum, attr) => sum + WEIGHTS[attr] * (counts[attr][team][cats[attr]] || 0),
+      0
+    ), 0);
+    return candidates.reduce((a, b) => (cost(b) < cost(a) ? b : a));
+  };
+
+  // Unidades "juntos": las que ya tienen a alguien ubicado van a ese equipo
+  const toPlace = [...pending, ...released];
+  const pendingByKey = new Map(toPlace.map(p => [getKey(p), p]));
+  const inUnit = new Set();
+  const units = [];
+  groups.forEach(group => {
+    const members = group.filter(k => pendingByKey.has(k));
+    if (members.length === 0) return;
+    const anchored = group.find(k => teamOf.has(k));
+    members.forEach(k => inUnit.add(k));
+    units.push({
+      members: members.map(k => pendingByKey.get(k)),
+      team: anchored ? teamOf.get(anchored) : null
+    });
+  });
+
+  units.filter(u => u.team).forEach(u => place(u.members, u.team));
+  units
+    .filter(u => !u.team)
+    .sort((a, b) => b.members.length - a.members.length)
+    .forEach(u => place(u.members, chooseTeam(u.members)));
+
+  // Personas sueltas: orden aleatorio dentro de cada grupo, agrupando por género y luego por edad.
+  // Se parte de un orden fijo (por clave) para que la misma semilla dé el mismo resultado
+  // aunque la planilla venga en otro orden
+  const singles = toPlace
+    .filter(p => !inUnit.has(getKey(p)))
+    .sort((a, b) => (getKey(a) < getKey(b) ? -1 : getKey(a) > getKey(b) ? 1 : 0));
+  const order = shuffle(singles, random)
+    .map(p => ({ p, categories: getCategories(p) }));
+  const groupKey = ({ categories }) => [
+    config.gender ? categories.gender : '',
+    config.age ? categories.age : ''
+  ].join('|');
+  const groupOrder = [...new Set(order.map(groupKey))];
+  order.sort((a, b) => groupOrder.indexOf(groupKey(a)) - groupOrder.indexOf(groupKey(b)));
+
+  order.forEach(({ p }) => place([p], chooseTeam([p])));
+
+  return result;
+};
+
+/**
+ * Distribución de categorías (proporciones) de un grupo de participantes
+ */
+const distribution = (members, attr, getCategories) => {
+  const total = members.length;
+  return members.reduce((acc, p) => {
+    const c = getCategories(p)[attr];
+    acc[c] = (acc[c] || 0) + 1 / total;
+    return acc;
+  }, {});
+};
+
+/**
+ * Puntaje de equilibrio por equipo (0–100): qué tanto se parece la composición de cada
+ * equipo a la del campamento completo, por atributo y ponderado.
+ *
+ * @returns {{ teams: Object<string, {score: number, breakdown: Object}>, overall: number|null }}
+ */
+export const computeBalanceScores = (teams, teamNames, getCategories, config) => {
+  const attributes = activeAttributes(config);
+  const everyone = teamNames.flatMap(t => teams[t] || []);
+  if (everyone.length === 0 || attributes.length === 0) {
+    return { teams: {}, overall: null };
+  }
+
+  const expected = attributes.reduce((acc, attr) => {
+    acc[attr] = distribution(everyone, attr, getCategories);
+    return acc;
+  }, {});
+  const idealSize = everyone.length / teamNames.length;
+
+  const result = {};
+  teamNames.forEach(team => {
+    const members = teams[team] || [];
+    const breakdown = {};
+
+    attributes.forEach(attr => {
+      if (members.length === 0) {
+        breakdown[attr] = 0;
+        return;
+      }
+      // 1 − distancia de variación total entre la distribución del equipo y la general
+      const actual = distribution(members, attr, getCategories);
+      const categories = new Set([...Object.keys(actual), ...Object.keys(expected[attr])]);
+      const distance = [...categories].reduce(
+        (sum, c) => sum + Math.abs((actual[c] || 0) - (expected[attr][c] || 0)),
+        0
+      ) / 2;
+      breakdown[attr] = Math.round((1 - distance) * 100);
+    });
+
+    const totalWeight = attributes.reduce((sum, attr) => sum + WEIGHTS[attr], 0);
+    const attrScore = attributes.reduce((sum, attr) => sum + WEIGHTS[attr] * breakdown[attr], 0) / totalWeight;
+    // Penalizar equipos que se alejan del tamaño ideal
+    const sizeFactor = idealSize > 0 ? Math.max(0, 1 - Math.abs(members.length - idealSize) / idealSize) : 1;
+
+    result[team] = { score: Math.round(attrScore * sizeFactor), breakdown };
+  });
+
+  const scores = Object.values(result).map(r => r.score);
+  return {
+    teams: result,
+    overall: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
+  };
+};
@@ -0,0 +1,167 @@
+import { getGenderCategory, parseAge } from './balancing';
+import { getField } from './columnMapping';
+import { escapeHtml, printDocument } from './print';
+
+// Cabañas: cada una tiene capacidad fija, es de varones, de mujeres o mixta y puede limitar
+// la edad. La asignación automática respeta a quienes se movieron a mano
+
+export const CABIN_GENDERS = {
+  Hombres: 'Varones',
+  Mujeres: 'Mujeres',
+  Mixta: 'Mixta'
+};
+
+/**
+ * Crea una cabaña vacía
+ */
+export const createCabin = (name) => ({
+  id: `cab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+  capacity: 10,
+  gender: 'Mixta',
+  minAge: null,
+  maxAge: null
+});
+
+const toAge = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * Valida la lista de cabañas guardada
+ */
+export const normalizeCabins = (cabins) =>
+  (Array.isArray(cabins) ? cabins : [])
+    .filter(c => c?.id && c.name)
+    .map(c => ({
+      id: c.id,
+      name: String(c.name),
+      capacity: Math.max(parseInt(c.capacity, 10) || 0, 0),
+      gender: CABIN_GENDERS[c.gender] ? c.gender : 'Mixta',
+      minAge: toAge(c.minAge),
+      maxAge: toAge(c.maxAge)
+    }));
+
+/**
+ * Datos de un participante que importan para las cabañas
+ */
+export const getCabinProfile = (participant, mapping) => ({
+  gender: getGenderCategory(participant, mapping),
+  age: parseAge(getField(participant, mapping, 'age'))
+});
+
+/**
+ * Motivo por el que alguien no puede ir a una cabaña (null si puede)
+ */
+export const getCabinConflict = (cabin, { gender, age }) => {
+  if (cabin.gender !== 'Mixta' && gender !== cabin.gender) return `es solo de ${CABIN_GENDERS[cabin.gender].toLowerCase()}`;
+  if ((cabin.minAge || cabin.maxAge) && age === null) return 'tiene límite de edad y no hay edad registrada';
+  if (cabin.minAge && age < cabin.minAge) return `es desde ${cabin.minAge} años`;
+  if (cabin.maxAge && age > cabin.maxAge) return `es hasta ${cabin.maxAge} años`;
+  return null;
+};
+
+/**
+ * Cuántas personas hay en cada cabaña
+ */
+export const countCabinOccupancy = (assignments, cabins) => {
+  const counts = Object.fromEntries(cabins.map(c => [c.id, 0]));
+  Object.values(assignments).forEach(id => {
+    if (id in counts) counts[id] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Asigna cabañas. Quienes fueron movidos a mano no se mueven; el resto conserva su cabaña
+ * si sigue cumpliendo las reglas (o se reubica si reset es true). Se ubica primero a quien
+ * tiene menos cabañas posibles, en la cabaña con más lugares libres
+ *
+ * @param {Array<{ key, gender, age }>} options.people - participantes
+ * @param {Array} options.cabins - cabañas
+ * @param {Object} options.existing - { clave: idCabaña } actuales
+ * @param {Object} options.locked - { clave: true } movidos a mano
+ * @param {boolean} options.reset - volver a repartir a todos los no bloqueados
+ * @returns {{ assignments: Object, unplaced: Array<{ key, reason }> }}
+ */
+export const allocateCabins = ({ people, cabins, existing = {}, locked = {}, reset = false }) => {
+  const byId = Object.fromEntries(cabins.map(c => [c.id, c]));
+  const assignments = {};
+  const free = Object.fromEntries(cabins.map(c => [c.id, c.capacity]));
+
+  const keep = (person) => {
+    const cabin = byId[existing[person.key]];
+    if (!cabin) return false;
+    if (locked[person.key]) return true;
+    return !reset && free[cabin.id] > 0 && !getCabinConflict(cabin, person);
+  };
+
+  const pending = [];
+  // Primero los bloqueados, para que nadie les quite el lugar
+  [...people]
+    .sort((a, b) => Number(!!locked[b.key]) - Number(!!locked[a.key]))
+    .forEach(person => {
+      if (keep(person)) {
+        assignments[person.key] = existing[person.key];
+        free[existing[person.key]] -= 1;
+      } else {
+        pending.push(person);
+      }
+    });
+
+  const eligible = (person) => cabins.filter(c => !getCabinConflict(c, person));
+  const unplaced = [];
+  pending
+    .map(person => ({ person, options: eligible(person) }))
+    .sort((a, b) => a.options.length - b.options.length || (a.person.age ?? 0) - (b.person.age ?? 0))
+    .forEach(({ person, options }) => {
+      const open = options.filter(c => free[c.id] > 0);
+      if (open.length === 0) {
+        unplaced.push({
+          key: person.key,
+          reason: options.length === 0 ? 'ninguna cabaña acepta su género o edad' : 'no quedan lugares en las cabañas posibles'
+        });
+        return;
+      }
+      const best = open.reduce((a, b) => (free[b.id] > free[a.id] ? b : a));
+      assignments[person.key] = best.id;
+      free[best.id] -= 1;
+    });
+
+  return { assignments, unplaced };
+};
+
+/**
+ * Describe las reglas de una cabaña: "Varones · 12–15 años"
+ */
+export const describeCabin = (cabin) => {
+  const parts = [CABIN_GENDERS[cabin.gender]];
+  if (cabin.minAge && cabin.maxAge) parts.push(`${cabin.minAge}–${cabin.maxAge} años`);
+  else if (cabin.minAge) parts.push(`desde ${cabin.minAge} años`);
+  else if (cabin.maxAge) parts.push(`hasta ${cabin.maxAge} años`);
+  return parts.join(' · ');
+};
+
+/**
+ * Imprime la lista de cabañas: una página por cabaña con sus integrantes
+ *
+ * @param {Array} cabins - cabañas
+ * @param {Object} members - { idCabaña: [{ name, team, age }] }
+ */
+export const printCabinList = (cabins, members) => {
+  const pages = cabins.map(cabin => {
+    const rows = (members[cabin.id] || [])
+      .map((m, i) => `<tr><td>${i + 1}</td><td>${escapeHtml(m.name)}</td><td>${escapeHtml(m.team)}</td><td>${escapeHtml(m.age ?? '')}</td></tr>`)
+      .join('');
+    return `<section class="page">
+      <h1>Cabaña ${escapeHtml(cabin.name)}</h1>
+      <h2>${escapeHtml(describeCabin(cabin))} · ${(members[cabin.id] || []).length}/${cabin.capacity}</h2>
+      <table>
+        <thead><tr><th>#</th><th>Nombre</th><th>Equipo</th><th>Edad</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </section>`;
+  });
+  return printDocument('Cabañas AGIOS 2.8', pages.join(''));
+};
@@ -0,0 +1,154 @@
+import { normalizeText } from './text';
+
+// Mapeo de columnas: campo lógico → encabezado real de la planilla
+
+export const COLUMN_MAPPING_KEY = 'column_mapping_v1';
+
+// Campos lógicos con los encabezados originales del formulario y palabras clave para detectarlos
+export const FIELDS = [
+  {
+    id: 'name',
+    label: 'Nombre y apellido',
+    required: true,
+    defaultHeader: 'NOMBRE Y APELLIDO',
+    keywords: ['nombre', 'apellido', 'nombre completo']
+  },
+  {
+    id: 'registration',
+    label: 'Marca temporal / ID de registro',
+    defaultHeader: 'Marca temporal',
+    keywords: ['marca temporal', 'timestamp', 'fecha de registro', 'registro']
+  },
+  {
+    id: 'phone',
+    label: 'Celular',
+    defaultHeader: 'ESCRIBE TU NUMERO DE CELULAR',
+    keywords: ['celular', 'telefono', 'whatsapp', 'movil', 'numero']
+  },
+  {
+    id: 'gender',
+    label: 'Género',
+    defaultHeader: 'SELECCIONA TU GENERO',
+    keywords: ['genero', 'sexo']
+  },
+  {
+    id: 'age',
+    label: 'Edad',
+    defaultHeader: 'ESCRIBE TU EDAD',
+    keywords: ['edad', 'anos']
+  },
+  {
+    id: 'church',
+    label: 'Iglesia',
+    defaultHeader: 'SELECCIONA TU IGLESIA ( si no aparece tu iglesia puedes escribirlo en "otros" o seleccionar invitado si no asistes a ninguna iglesia)',
+    keywords: ['iglesia', 'congregacion']
+  },
+  {
+    id: 'size',
+    label: 'Talla',
+    defaultHeader: 'SELECCIONA  TALLA',
+    keywords: ['talla', 'polera', 'camiseta', 'polo']
+  },
+  {
+    id: 'payment',
+    label: 'Forma de pago',
+    defaultHeader: 'SELECCIONA LA FORMA DE PAGO REALIZADO',
+    keywords: ['forma de pago', 'pago', 'deposito', 'transferencia']
+  }
+];
+
+const FIELD_IDS = FIELDS.map(f => f.id);
+
+// Compara encabezados ignorando mayúsculas, acentos y espacios repetidos
+const cleanHeader = (header) => normalizeText(header).replace(/\s+/g, ' ');
+
+/**
+ * Puntaje de qué tan probable es que un encabezado corresponda a un campo
+ */
+const scoreHeader = (field, header) => {
+  const h = cleanHeader(header);
+  if (!h) return 0;
+  if (h === cleanHeader(field.defaultHeader)) return 100;
+
+  return field.keywords.reduce((score, kw) => {
+    if (!h.includes(kw)) return score;
+    // Las palabras clave con más palabras son más específicas
+    return score + 10 * kw.split(' ').length;
+  }, 0);
+};
+
+/**
+ * Detecta automáticamente la columna más probable para cada campo lógico
+ */
+export const detectColumnMapping = (headers) => {
+  const candidates = [];
+  FIELDS.forEach(field => {
+    headers.forEach(header => {
+      const score = scoreHeader(field, header);
+      if (score > 0) candidates.push({ field: field.id, header, score });
+    });
+  });
+
+  // Asignación voraz: primero las coincidencias más fuertes, sin repetir columnas
+  candidates.sort((a, b) => b.score - a.score);
+  const mapping = FIELD_IDS.reduce((acc, id) => {
+    acc[id] = null;
+    return acc;
+  }, {});
+  const usedHeaders = new Set();
+
+  candidates.forEach(({ field, header }) => {
+    if (mapping[field] || usedHeaders.has(header)) return;
+    mapping[field] = header;
+    usedHeaders.add(header);
+  });
+
+  return mapping;
+};
+
+/**
+ * Combina un mapeo guardado con los encabezados actuales: conserva lo que sigue
+ * existiendo y detecta el resto
+ */
+export const resolveColumnMapping = (saved, headers) => {
+  const detected = detectColumnMapping(headers);
+  if (!saved) return detected;
+
+  return FIELD_IDS.reduce((acc, id) => {
+    acc[id] = saved[id] && headers.includes(saved[id]) ? saved[id] : detected[id];
+    return acc;
+  }, {});
+};
+
+/**
+ * Indica si un mapeo guardado sigue siendo válido para estos encabezados
+ */
+export const isMappingComplete = (mapping, headers) =>
+  FIELDS.every(f => !f.required || (mapping?.[f.id] && headers.includes(mapping[f.id])));
+
+/**
+ * Valor de un campo lógico para un participante
+ */
+export const getField = (participant, mapping, field) => {
+  const header = mapping?.[field];
+  if (!header || participant[header] === undefined || participant[header] === null) return '';
+  return String(participant[header]);
+};
+
+/**
+ * Lee el mapeo confirmado en este dispositivo (null si nunca se confirmó)
+ */
+export const loadLocalColumnMapping = () => {
+  try {
+    return JSON.parse(localStorage.getItem(COLUMN_MAPPING_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Guarda el mapeo confirmado en este dispositivo
+ */
+export const saveLocalColumnMapping = (mapping) => {
+  localStorage.setItem(COLUMN_MAPPING_KEY, JSON.stringify(mapping));
+};
@@ -0,0 +1,145 @@
+// Reglas de asignación: personas que deben ir juntas o separadas
+
+export const CONSTRAINTS_KEY = 'team_constraints_v1';
+
+export const RULE_TYPES = {
+  together: 'Mantener juntos',
+  apart: 'Mantener separados'
+};
+
+/**
+ * Valida y limpia la lista de reglas (por ejemplo, la leída del Gist)
+ */
+export const normalizeConstraints = (rules) => {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter(r => r && RULE_TYPES[r.type] && Array.isArray(r.keys))
+    .map(r => ({
+      id: r.id || `rule-${Math.random().toString(36).slice(2, 10)}`,
+      type: r.type,
+      keys: [...new Set(r.keys.map(String))],
+      note: r.note || ''
+    }))
+    .filter(r => r.keys.length >= 2);
+};
+
+/**
+ * Crea una regla nueva
+ */
+export const createRule = (type, keys, note = '') => ({
+  id: `rule-${Date.now().toString(36)}`,
+  type,
+  keys: [...new Set(keys)],
+  note
+});
+
+/**
+ * Lee las reglas guardadas en este dispositivo
+ */
+export const loadLocalConstraints = () => {
+  try {
+    return normalizeConstraints(JSON.parse(localStorage.getItem(CONSTRAINTS_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Guarda las reglas en este dispositivo
+ */
+export const saveLocalConstraints = (rules) => {
+  localStorage.setItem(CONSTRAINTS_KEY, JSON.stringify(rules));
+};
+
+/**
+ * Une las reglas "juntos" que comparten personas en grupos (solo claves presentes)
+ */
+export const buildTogetherGroups = (rules, presentKeys) => {
+  const parent = new Map();
+  const find = (k) => {
+    while (parent.get(k) !== k) {
+      parent.set(k, parent.get(parent.get(k)));
+      k = parent.get(k);
+    }
+    return k;
+  };
+
+  rules.filter(r => r.type === 'together').forEach(r => {
+    const keys = r.keys.filter(k => presentKeys.has(k));
+    keys.forEach(k => {
+      if (!parent.has(k)) parent.set(k, k);
+    });
+    for (let i = 1; i < keys.length; i++) {
+      parent.set(find(keys[i]), find(keys[0]));
+    }
+  });
+
+  const groups = new Map();
+  [...parent.keys()].forEach(k => {
+    const root = find(k);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(k);
+  });
+  return [...groups.values()].filter(g => g.length > 1);
+};
+
+/**
+ * Mapa clave → claves con las que no puede compartir equipo
+ */
+export const buildApartMap = (rules) => {
+  const apart = new Map();
+  rules.filter(r => r.type === 'apart').forEach(r => {
+    r.keys.forEach(a => {
+      r.keys.forEach(b => {
+        if (a === b) return;
+        if (!apart.has(a)) apart.set(a, new Set());
+        apart.get(a).add(b);
+      });
+    });
+  });
+  return apart;
+};
+
+/**
+ * Reglas que no se cumplen con las asignaciones actuales
+ *
+ * @param {Array} rules
+ * @param {Object} assignments - { clave: equipo } de quienes están en algún equipo
+ * @returns {Array<{ rule, message, keys }>}
+ */
+export const findViolations = (rules, assignments) => {
+  const violations = [];
+
+  rules.forEach(rule => {
+    const placed = rule.keys.filter(k => assignments[k]);
+
+    if (rule.type === 'together') {
+      const teams = [...new Set(placed.map(k => assignments[k]))];
+      if (teams.length > 1) {
+        violations.push({
+          rule,
+          keys: placed,
+          message: `deberían estar juntos pero quedaron en ${teams.join(', ')}`
+        });
+      }
+      return;
+    }
+
+    // Separados: cada par que comparte equipo es una violación
+    const byTeam = placed.reduce((acc, k) => {
+      (acc[assignments[k]] = acc[assignments[k]] || []).push(k);
+      return acc;
+    }, {});
+    Object.entries(byTeam).forEach(([team, keys]) => {
+      if (keys.length > 1) {
+        violations.push({
+          rule,
+          keys,
+          message: `deberían estar separados pero comparten el equipo ${team}`
+        });
+      }
+    });
+  });
+
+  return violations;
+};
@@ -0,0 +1,271 @@
+import * as XLSX from 'xlsx';
+import { detectColumnMapping, FIELDS } from './columnMapping';
+
+// Fuentes de datos de la planilla de inscritos (Google Sheets o archivos locales)
+
+export const DATA_SOURCES_KEY = 'data_sources_v1';
+
+// Última lista de inscritos cargada, para abrir sin conexión
+const ROSTER_CACHE_KEY = 'roster_cache_v1';
+
+export const ACCEPTED_FILE_TYPES = '.xlsx,.xls,.csv,.ods';
+
+/**
+ * Convierte URL de Google Sheets a CSV
+ */
+export const convertGoogleSheetsUrl = (url) => {
+  if (url.includes('docs.google.com/spreadsheets')) {
+    // Hoja publicada en la web (/d/e/...): pedir la salida en CSV
+    if (url.includes('/d/e/')) {
+      return url.replace(/\/pub(html)?(\?.*)?$/, '/pub?output=csv');
+    }
+
+    const match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
+    if (match) {
+      const fileId = match[1];
+      const gid = url.match(/[#&?]gid=(\d+)/);
+      return `https://docs.google.com/spreadsheets/d/${fileId}/gviz/tq?tqx=out:csv${gid ? `&gid=${gid[1]}` : ''}`;
+    }
+  }
+  return url;
+};
+
+/**
+ * Carga datos desde Google Sheets
+ */
+export const loadFromGoogleSheets = async (url) => {
+  const csvUrl = convertGoogleSheetsUrl(url);
+  const response = await fetch(csvUrl);
+  if (!response.ok) throw new Error('No se pudo acceder al archivo.');
+  const csvText = await response.text();
+
+  const Papa = (await import('https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm')).default;
+  const result = Papa.parse(csvText, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false
+  });
+
+  if (!result.data || result.data.length === 0) {
+    throw new Error('El archivo está vacío o no tiene datos válidos.');
+  }
+
+  const headers = Object.keys(result.data[0]);
+  return { participants: result.data, headers };
+};
+
+/**
+ * Carga datos desde Excel local (también .csv y .ods)
+ */
+export const loadFromExcelFile = (file) => {
+  // Los CSV se leen como texto para respetar los acentos (UTF-8)
+  const isCsv = /\.csv$/i.test(file.name || '');
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const workbook = isCsv
+          ? XLSX.read(e.target.result, { type: 'string' })
+          : XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false });
+
+        if (jsonData.length < 2) throw new Error('Archivo vacío o sin encabezados.');
+
+        const headers = jsonData[0].map(String);
+        const rows = jsonData.slice(1).filter(row => row.some(cell => cell !== undefined && cell !== null && cell !== ''));
+
+        const participants = rows.map(row => {
+          const obj = {};
+          headers.forEach((header, i) => {
+            obj[header] = row[i] !== undefined ? String(row[i]) : '';
+          });
+          return obj;
+        });
+
+        resolve({ participants, headers });
+      } catch (err) {
+        reject(err);
+      }
+    };
+    reader.onerror = () => reject(new Error('Error al leer el archivo.'));
+    if (isCsv) {
+      reader.readAsText(file);
+    } else {
+      reader.readAsArrayBuffer(file);
+    }
+  });
+};
+
+/**
+ * Crea una fuente a partir de una URL de Google Sheets
+ */
+export const createSheetSource = (url) => ({
+  id: `sheet-${Date.now()}`,
+  type: 'sheet',
+  label: url,
+  url,
+  enabled: true
+});
+
+/**
+ * Crea una fuente a partir de un archivo local; los datos se guardan en la fuente
+ * para poder recargarlos sin conexión
+ */
+export const createFileSource = async (file) => {
+  const { participants, headers } = await loadFromExcelFile(file);
+  return {
+    id: `file-${Date.now()}`,
+    type: 'file',
+    label: file.name,
+    enabled: true,
+    loadedAt: new Date().toISOString(),
+    participants,
+    headers
+  };
+};
+
+/**
+ * Lee las fuentes guardadas en este dispositivo (por defecto, la planilla interna)
+ */
+export const loadLocalSources = (defaultUrl) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DATA_SOURCES_KEY) || 'null');
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+  } catch {
+    // Ignorar datos corruptos y volver a la fuente por defecto
+  }
+  return [{ id: 'internal', type: 'sheet', label: 'Planilla del formulario', url: defaultUrl, enabled: true }];
+};
+
+/**
+ * Guarda las fuentes en este dispositivo
+ */
+export const saveLocalSources = (sources) => {
+  localStorage.setItem(DATA_SOURCES_KEY, JSON.stringify(sources));
+};
+
+/**
+ * Obtiene los datos de una fuente
+ */
+const loadSource = async (source) => {
+  if (source.type === 'file') {
+    return { participants: source.participants || [], headers: source.headers || [] };
+  }
+  try {
+    return await loadFromGoogleSheets(source.url);
+  } catch (err) {
+    throw new Error(`${source.label}: ${err.message}`);
+  }
+};
+
+/**
+ * Renombra las columnas de una planilla para que coincidan con las de la principal
+ * (por ejemplo "Nombre completo" → "NOMBRE Y APELLIDO")
+ */
+const alignToHeaders = ({ participants, headers }, baseMapping) => {
+  const mapping = detectColumnMapping(headers);
+  const renames = {};
+  FIELDS.forEach(f => {
+    if (mapping[f.id] && baseMapping[f.id] && mapping[f.id] !== baseMapping[f.id]) {
+      renames[mapping[f.id]] = baseMapping[f.id];
+    }
+  });
+
+  return {
+    headers: headers.map(h => renames[h] || h),
+    participants: participants.map(p =>
+      Object.entries(p).reduce((acc, [h, v]) => {
+        acc[renames[h] || h] = v;
+        return acc;
+      }, {})
+    )
+  };
+};
+
+// Identifica las fuentes activas, para no usar la copia de otra combinación de fuentes
+const sourcesSignature = (active) => active.map(s => `${s.type}:${s.url || s.id}`).join('\n');
+
+/**
+ * Copia guardada de la lista de inscritos de estas fuentes, o null si no hay
+ */
+const readRosterCache = (signature) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(ROSTER_CACHE_KEY) || 'null');
+    return cached?.signature === signature && Array.isArray(cached.participants) ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeRosterCache = (signature, roster) => {
+  try {
+    localStorage.setItem(ROSTER_CACHE_KEY, JSON.stringify({ signature, ...roster, savedAt: new Date().toISOString() }));
+  } catch (err) {
+    // Sin espacio en el navegador: la app sigue, solo que sin copia para abrir sin conexión
+    console.warn('No se pudo guardar la copia de los inscritos:', err.message);
+  }
+};
+
+/**
+ * Carga las fuentes activas y las combina en una sola lista (sin eliminar duplicados). Si
+ * alguna no se puede leer (sin conexión) usa la copia de la última carga de las mismas fuentes
+ *
+ * @returns {Promise<{ participants, headers, merged, cachedAt }>} cachedAt es la fecha de la
+ *   copia, o null si se leyeron las fuentes
+ */
+export const loadSources = async (sources) => {
+  const active = sources.filter(s => s.enabled);
+  if (active.length === 0) throw new Error('No hay ninguna fuente de datos activa.');
+
+  const signature = sourcesSignature(active);
+  const loaded = [];
+  try {
+    for (const source of active) {
+      loaded.push(await loadSource(source));
+    }
+  } catch (err) {
+    const cached = readRosterCache(signature);
+    if (!cached) throw err;
+    console.warn('Se usa la copia local de los inscritos:', err.message);
+    return { participants: cached.participants, headers: cached.headers, merged: cached.merged, cachedAt: cached.savedAt };
+  }
+
+  const [first, ...rest] = loaded;
+  const baseMapping = detectColumnMapping(first.headers);
+  const headers = [...first.headers];
+  const participants = [...first.participants];
+
+  rest.forEach(roster => {
+    const aligned = alignToHeaders(roster, baseMapping);
+    aligned.headers.forEach(h => {
+      if (!headers.includes(h)) headers.push(h);
+    });
+    participants.push(...aligned.participants);
+  });
+
+  const roster = { participants, headers, merged: loaded.length > 1 };
+  writeRosterCache(signature, roster);
+  return { ...roster, cachedAt: null };
+};
+
+/**
+ * Elimina participantes repetidos (misma clave); se conserva el primero y se completan
+ * sus campos vacíos con los del repetido
+ */
+export const dedupeParticipants = (participants, getKey) => {
+  const byKey = new Map();
+  participants.forEach(p => {
+    const key = getKey(p);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...p });
+      return;
+    }
+    Object.entries(p).forEach(([h, v]) => {
+      if ((existing[h] === undefined || existing[h] === '') && v !== '') existing[h] = v;
+    });
+  });
+  return [...byKey.values()];
+};
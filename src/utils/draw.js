@@ -0,0 +1,103 @@
+import { getCoordinators } from './teamConfig';
+
+// Sorteo reproducible: semilla pública, generador pseudoaleatorio y registro de auditoría
+
+// Cantidad máxima de entradas que se guardan en el historial
+export const DRAW_LOG_LIMIT = 50;
+
+// Letras y números fáciles de dictar (sin 0/O ni 1/I)
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const DRAW_TYPES = {
+  draw: 'Sorteo',
+  incremental: 'Nuevos inscritos',
+  adjust: 'Ajuste',
+  verify: 'Verificación'
+};
+
+/**
+ * Genera una semilla legible, por ejemplo "K7QM-3XPA"
+ */
+export const createSeed = () => {
+  const values = new Uint32Array(8);
+  crypto.getRandomValues(values);
+  const chars = [...values].map(v => SEED_ALPHABET[v % SEED_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+/**
+ * Hash FNV-1a de 32 bits en hexadecimal
+ */
+export const hashString = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Generador pseudoaleatorio (mulberry32) a partir de una semilla de texto: la misma
+ * semilla produce siempre la misma secuencia
+ */
+export const seededRandom = (seed) => {
+  let a = parseInt(hashString(String(seed)), 16);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Huella de la lista de participantes (independiente del orden)
+ */
+export const hashRoster = (keys) => hashString([...keys].sort().join('\n'));
+
+/**
+ * Huella de un resultado { clave: equipo }
+ */
+export const hashAssignments = (assignments, keys = Object.keys(assignments)) =>
+  hashString([...keys].sort().map(k => `${k}=${assignments[k] || ''}`).join('\n'));
+
+/**
+ * Claves cuyo equipo difiere entre dos resultados
+ */
+export const diffAssignments = (a, b, keys) => keys.filter(k => (a[k] || null) !== (b[k] || null));
+
+/**
+ * Registro del sorteo vigente: todo lo necesario para repetirlo
+ */
+export const createDrawRecord = ({ seed, rosterKeys, settings, assignments }) => ({
+  seed,
+  at: new Date().toISOString(),
+  rosterKeys: [...rosterKeys].sort(),
+  rosterHash: hashRoster(rosterKeys),
+  teamNames: settings.teamConfig.map(t => t.name),
+  coordinators: getCoordinators(settings.teamConfig),
+  balanceConfig: settings.balanceConfig,
+  constraints: settings.constraints,
+  locked: settings.locked || {},
+  resultHash: hashAssignments(assignments, rosterKeys)
+});
+
+/**
+ * Entrada del historial de auditoría
+ */
+export const createLogEntry = ({ type, seed, rosterKeys, constraints = [], detail = '' }) => ({
+  type,
+  at: new Date().toISOString(),
+  seed,
+  rosterSize: rosterKeys.length,
+  rosterHash: hashRoster(rosterKeys),
+  constraintsHash: hashString(JSON.stringify(constraints)),
+  constraintsCount: constraints.length,
+  detail
+});
+
+/**
+ * Agrega una entrada al historial (las más recientes primero)
+ */
+export const appendLog = (log, entry) => [entry, ...(log || [])].slice(0, DRAW_LOG_LIMIT);
@@ -0,0 +1,87 @@
+import { similarity } from './text';
+import { normalizeName } from './identity';
+
+// Detección de inscripciones duplicadas (el mismo formulario enviado dos veces)
+
+// Parecido mínimo entre nombres para marcar un posible duplicado
+export const DUPLICATE_SIMILARITY = 0.85;
+
+/**
+ * Identificador de un par, independiente del orden
+ */
+export const getPairId = (a, b) => [a, b].sort().join('|');
+
+// Nombre con las palabras ordenadas ("Perez Juan" = "Juan Perez")
+const sortedTokens = (name) => name.split(' ').sort().join(' ');
+
+/**
+ * Motivos por los que dos personas parecen la misma (vacío si no se parecen)
+ */
+const compareIdentities = (a, b) => {
+  const reasons = [];
+  if (a.phone && a.phone === b.phone) reasons.push('mismo celular');
+
+  const nameA = normalizeName(a.name);
+  const nameB = normalizeName(b.name);
+  if (nameA && nameB) {
+    const score = Math.max(similarity(nameA, nameB), similarity(sortedTokens(nameA), sortedTokens(nameB)));
+    if (score === 1) {
+      reasons.push('mismo nombre');
+    } else if (score >= DUPLICATE_SIMILARITY) {
+      reasons.push(`nombre parecido (${Math.round(score * 100)}%)`);
+    }
+  }
+  return reasons;
+};
+
+/**
+ * Grupos en los que cae una persona: solo se comparan quienes comparten alguno (mismo
+ * celular, misma primera palabra del nombre o mismas iniciales en cualquier orden), para no
+ * comparar a todos contra todos
+ */
+const candidateBuckets = ({ name, phone }) => {
+  const tokens = normalizeName(name).split(' ').filter(Boolean);
+  const buckets = [];
+  if (phone) buckets.push(`phone:${phone}`);
+  if (tokens.length > 0) {
+    buckets.push(`first:${tokens[0]}`);
+    buckets.push(`initials:${tokens.map(t => t[0]).sort().join('')}`);
+  }
+  return buckets;
+};
+
+/**
+ * Pares de posibles duplicados, primero los que coinciden en más datos
+ *
+ * @param {Array<{key, identity}>} people
+ * @param {Array<string>} dismissed - pares marcados como "no es duplicado"
+ * @returns {Array<{ id, keys: [string, string], reasons: string[] }>}
+ */
+export const findDuplicates = (people, dismissed = []) => {
+  const buckets = new Map();
+  people.forEach(person => {
+    candidateBuckets(person.identity).forEach(bucket => {
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(person);
+    });
+  });
+
+  const seen = new Set(dismissed);
+  const pairs = [];
+  buckets.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const a = members[i];
+        const b = members[j];
+        const id = getPairId(a.key, b.key);
+        if (a.key === b.key || seen.has(id)) continue;
+        seen.add(id);
+
+        const reasons = compareIdentities(a.identity, b.identity);
+        if (reasons.length > 0) pairs.push({ id, keys: [a.key, b.key], reasons });
+      }
+    }
+  });
+
+  return pairs.sort((x, y) => y.reasons.length - x.reasons.length);
+};
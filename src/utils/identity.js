@@ -0,0 +1,204 @@
+import { normalizeText, similarity } from './text';
+import { getField } from './columnMapping';
+
+// Identidad estable de participantes: la clave se basa en el celular normalizado o en la
+// marca temporal del formulario, no en el nombre, para que corregir un nombre no cree una
+// persona nueva. Incluye la migración que vuelve a vincular claves antiguas.
+
+// Parecido mínimo entre nombres para proponer una vinculación
+export const NAME_SIMILARITY = 0.8;
+
+// Claves de la lista cargada. Dependen de toda la lista (un celular compartido entre
+// hermanos no identifica a nadie), por eso se calculan juntas con buildParticipantKeys
+const rosterKeys = new WeakMap();
+
+/**
+ * Normaliza un celular boliviano: solo dígitos y sin el prefijo +591 / 00591
+ */
+export const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  const local = /^(00)?591\d{7,8}$/.test(digits) ? digits.replace(/^(00)?591/, '') : digits;
+  return local.length >= 7 ? local : '';
+};
+
+/**
+ * Normaliza un nombre para compararlo (sin acentos, minúsculas, espacios simples)
+ */
+export const normalizeName = (name) => normalizeText(name).replace(/\s+/g, ' ');
+
+/**
+ * Datos con los que se reconoce a una persona si su clave cambia
+ */
+export const getIdentity = (participant, mapping) => ({
+  name: getField(participant, mapping, 'name').trim(),
+  phone: normalizePhone(getField(participant, mapping, 'phone')),
+  registration: normalizeText(getField(participant, mapping, 'registration'))
+});
+
+/**
+ * Clave de un participante sin mirar el resto de la lista
+ */
+const getBaseKey = (participant, headers, mapping, phoneIsUnique = true) => {
+  const { name, phone, registration } = getIdentity(participant, mapping);
+  if (phone && phoneIsUnique) return `tel:${phone}`;
+  if (registration) return `reg:${registration}`;
+  if (name) return name.toLowerCase();
+  return String(participant[headers[0]] || JSON.stringify(participant)).trim();
+};
+
+/**
+ * Calcula y recuerda las claves de toda la lista. El celular solo se usa como clave si
+ * nadie más (con otro nombre) lo registró
+ *
+ * @returns {Function} participante → clave
+ */
+export const buildParticipantKeys = (participants, headers, mapping) => {
+  const namesByPhone = new Map();
+  participants.forEach(p => {
+    const { name, phone } = getIdentity(p, mapping);
+    if (!phone) return;
+    if (!namesByPhone.has(phone)) namesByPhone.set(phone, new Set());
+    namesByPhone.get(phone).add(normalizeName(name));
+  });
+
+  participants.forEach(p => {
+    const { phone } = getIdentity(p, mapping);
+    const phoneIsUnique = !phone || namesByPhone.get(phone).size === 1;
+    rosterKeys.set(p, getBaseKey(p, headers, mapping, phoneIsUnique));
+  });
+
+  return p => rosterKeys.get(p) ?? getBaseKey(p, headers, mapping);
+};
+
+/**
+ * Genera clave única para participante
+ */
+export const getParticipantKey = (participant, headers, mapping) =>
+  rosterKeys.get(participant) ?? getBaseKey(participant, headers, mapping);
+
+/**
+ * Identidad deducida de una clave guardada sin datos (claves antiguas por nombre o celular)
+ */
+const identityFromKey = (key) => {
+  if (key.startsWith('tel:')) return { name: '', phone: key.slice(4), registration: '' };
+  if (key.startsWith('reg:')) return { name: '', phone: '', registration: key.slice(4) };
+  if (/^[\d\s+-]+$/.test(key)) return { name: '', phone: normalizePhone(key), registration: '' };
+  return { name: key, phone: '', registration: '' };
+};
+
+/**
+ * Coincidencia entre una persona y una clave antigua (null si no se parecen)
+ */
+const matchIdentity = (identity, old) => {
+  if (identity.registration && identity.registration === old.registration) {
+    return { strong: true, reason: 'misma marca temporal' };
+  }
+  if (identity.phone && identity.phone === old.phone) {
+    return { strong: true, reason: 'mismo celular' };
+  }
+
+  const a = normalizeName(identity.name);
+  const b = normalizeName(old.name);
+  if (!a || !b) return null;
+  if (a === b) return { strong: true, reason: 'mismo nombre' };
+
+  const score = similarity(a, b);
+  if (score >= NAME_SIMILARITY) {
+    return { strong: false, reason: `nombre parecido (${Math.round(score * 100)}%)` };
+  }
+  return null;
+};
+
+/**
+ * Busca a qué clave guardada corresponde cada persona que aparece con una clave nueva
+ *
+ * @param {Array<{key, identity}>} options.people - participantes actuales
+ * @param {Set<string>} options.knownKeys - claves con datos guardados (equipos, asistencia, etc.)
+ * @param {Object} options.identities - { clave: identidad } guardadas
+ * @returns {{ links: Object, reviews: Array }} vínculos seguros { claveAntigua: claveNueva }
+ *   y casos dudosos para revisar a mano
+ */
+export const planKeyMigration = ({ people, knownKeys, identities = {} }) => {
+  const currentKeys = new Set(people.map(p => p.key));
+  const orphans = [...knownKeys]
+    .filter(k => !currentKeys.has(k))
+    .map(k => ({ key: k, identity: identities[k] || identityFromKey(k) }));
+
+  const matches = people
+    .filter(p => !knownKeys.has(p.key))
+    .map(person => ({
+      person,
+      candidates: orphans
+        .map(o => ({ ...o, match: matchIdentity(person.identity, o.identity) }))
+        .filter(c => c.match)
+    }))
+    .filter(m => m.candidates.length > 0);
+
+  // Una clave antigua reclamada por dos personas nuevas siempre se revisa a mano
+  const strongClaims = new Map();
+  matches.forEach(({ candidates }) => {
+    candidates.filter(c => c.match.strong).forEach(c => {
+      strongClaims.set(c.key, (strongClaims.get(c.key) || 0) + 1);
+    });
+  });
+
+  const links = {};
+  const reviews = [];
+  matches.forEach(({ person, candidates }) => {
+    const strong = candidates.filter(c => c.match.strong);
+    if (strong.length === 1 && strongClaims.get(strong[0].key) === 1) {
+      links[strong[0].key] = person.key;
+      return;
+    }
+    reviews.push({
+      key: person.key,
+      name: person.identity.name,
+      candidates: candidates.map(c => ({ key: c.key, name: c.identity.name || c.key, reason: c.match.reason }))
+    });
+  });
+
+  return { links, reviews };
+};
+
+/**
+ * Cambia las claves de un mapa { clave: valor } según los vínculos. Si la clave nueva ya
+ * tenía un valor, gana el de la clave antigua (los datos guardados de la persona)
+ */
+export const relinkMap = (map, links) =>
+  Object.entries(map || {}).reduce((acc, [key, value]) => {
+    const target = links[key] || key;
+    acc[target] = links[key] ? (value || acc[target]) : (acc[target] || value);
+    return acc;
+  }, {});
+
+/**
+ * Como relinkMap, pero si la clave nueva ya tiene un valor, se conserva. Sirve para fusionar
+ * duplicados: gana el registro que se queda y el eliminado solo completa lo que falte
+ */
+export const mergeMapKeys = (map, links) =>
+  Object.entries(map || {}).reduce((acc, [key, value]) => {
+    const target = links[key] || key;
+    acc[target] = links[key] ? (map[target] ?? value) : value;
+    return acc;
+  }, {});
+
+/**
+ * Cambia las claves de las reglas juntos/separados según los vínculos
+ */
+export const relinkRules = (rules, links) =>
+  rules.map(rule => ({ ...rule, keys: [...new Set(rule.keys.map(k => links[k] || k))] }));
+
+/**
+ * Combina las revisiones pendientes guardadas con las nuevas, descartando las que ya no
+ * corresponden a nadie de la lista o cuyos candidatos ya fueron vinculados
+ */
+export const mergeReviews = (saved, fresh, currentKeys, links) => {
+  const linked = new Set(Object.keys(links));
+  const byKey = new Map();
+  [...(saved || []), ...fresh].forEach(review => {
+    if (!currentKeys.has(review.key) || Object.values(links).includes(review.key)) return;
+    const candidates = review.candidates.filter(c => !linked.has(c.key));
+    if (candidates.length > 0) byKey.set(review.key, { ...review, candidates });
+  });
+  return [...byKey.values()];
+};
@@ -0,0 +1,91 @@
+import { getField } from './columnMapping';
+import { normalizeText } from './text';
+
+// Control de pagos: la tesorería marca a cada participante como verificado, parcial o
+// pendiente, con el monto recibido; el saldo se calcula con la cuota del campamento
+
+export const PAYMENT_STATUSES = {
+  pending: 'Pendiente',
+  partial: 'Parcial',
+  verified: 'Verificado'
+};
+
+const DEFAULT_PAYMENT = { status: 'pending', amount: 0 };
+
+/**
+ * Valida el mapa de pagos guardado { clave: { status, amount, at } }
+ */
+export const normalizePayments = (payments) =>
+  Object.entries(payments || {}).reduce((acc, [key, record]) => {
+    if (!record || !PAYMENT_STATUSES[record.status]) return acc;
+    acc[key] = { ...record, amount: Math.max(Number(record.amount) || 0, 0) };
+    return acc;
+  }, {});
+
+/**
+ * Pago registrado de una persona (pendiente si no hay registro)
+ */
+export const getPayment = (payments, key) => payments[key] || DEFAULT_PAYMENT;
+
+/**
+ * Registra el pago de una persona; "pendiente" sin monto borra el registro
+ */
+export const setPayment = (payments, key, { status, amount }) => {
+  const next = { ...payments };
+  const value = Math.max(Number(amount) || 0, 0);
+  if (status === 'pending' && value === 0) {
+    delete next[key];
+  } else {
+    next[key] = { status, amount: value, at: new Date().toISOString() };
+  }
+  return next;
+};
+
+/**
+ * Monto pagado: un pago verificado sin monto cuenta como la cuota completa
+ */
+export const getPaid = (record, fee) => {
+  if (record.status === 'verified') return record.amount || fee;
+  if (record.status === 'partial') return record.amount;
+  return 0;
+};
+
+/**
+ * Saldo pendiente de una persona
+ */
+export const getBalance = (record, fee) => Math.max(fee - getPaid(record, fee), 0);
+
+/**
+ * Totales de un grupo: esperado, pagado, saldo y cantidad por estado
+ */
+export const summarizePayments = (members, payments, fee, getKey) =>
+  members.reduce((acc, member) => {
+    const record = getPayment(payments, getKey(member));
+    acc.count += 1;
+    acc.expected += fee;
+    acc.paid += getPaid(record, fee);
+    acc.balance += getBalance(record, fee);
+    acc.byStatus[record.status] += 1;
+    return acc;
+  }, { count: 0, expected: 0, paid: 0, balance: 0, byStatus: { pending: 0, partial: 0, verified: 0 } });
+
+/**
+ * Agrupa participantes por la forma de pago que indicaron en el formulario
+ *
+ * @returns {Array<{ method, members }>} de la forma de pago más usada a la menos usada
+ */
+export const groupByPaymentMethod = (members, mapping) => {
+  const groups = new Map();
+  members.forEach(member => {
+    const method = getField(member, mapping, 'payment').trim() || 'Sin forma de pago';
+    const id = normalizeText(method);
+    if (!groups.has(id)) groups.set(id, { method, members: [] });
+    groups.get(id).members.push(member);
+  });
+  return [...groups.values()].sort((a, b) => b.members.length - a.members.length);
+};
+
+/**
+ * Monto en bolivianos
+ */
+export const formatAmount = (amount) => `Bs ${amount.toLocaleString('es-BO')}`;
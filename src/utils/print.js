@@ -0,0 +1,58 @@
+// Impresión en una ventana aparte: la página se arma con HTML propio para que la impresión
+// no dependa del diseño de la app
+
+/**
+ * Escapa texto para insertarlo en HTML
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const BASE_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, sans-serif; color: #1e293b; margin: 1.5cm; }
+  h1 { font-size: 18pt; margin: 0 0 0.5cm; }
+  h2 { font-size: 13pt; margin: 0 0 0.2cm; }
+  table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+  th, td { border: 1px solid #94a3b8; padding: 4px 6px; text-align: left; }
+  th { background: #f1f5f9; }
+  .page { break-after: page; }
+  .page:last-child { break-after: auto; }
+  @page { margin: 1cm; }
+  @media print { body { margin: 0; } }
+`;
+
+/**
+ * Abre una ventana con el contenido y el diálogo de impresión
+ *
+ * @param {string} title - título del documento (también nombre sugerido del PDF)
+ * @param {string} body - HTML del contenido, con los textos ya escapados
+ * @param {string} [styles] - CSS adicional
+ * @returns {boolean} false si el navegador bloqueó la ventana
+ */
+export const printDocument = (title, body, styles = '') => {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+
+  win.document.write(`<!doctype html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${BASE_STYLES}${styles}</style>
+</head>
+<body>${body}</body>
+</html>`);
+  win.document.close();
+
+  // Esperar a que carguen las imágenes antes de imprimir
+  win.addEventListener('load', () => {
+    win.focus();
+    win.print();
+  });
+  return true;
+};
@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useState } from 'react';
+import { normalizeText } from './text';
+
+// Rutas de la app con la API de historial del navegador: cada página tiene su propia
+// dirección para compartirla o guardarla en favoritos. El servidor (server/index.js) y Vite
+// responden index.html en cualquier ruta, así que recargar la página no la pierde
+
+// Páginas que muestran datos personales o permiten cambios
+export const ADMIN_PAGES = ['teams', 'rollCall', 'stats', 'shirts', 'payments', 'scores', 'cabins', 'whatsapp', 'checkIn', 'staff', 'admin'];
+
+const STATIC_PATHS = {
+  lookup: '/',
+  leaderboard: '/marcador',
+  teams: '/equipos',
+  rollCall: '/asistencia',
+  stats: '/estadisticas',
+  shirts: '/poleras',
+  payments: '/pagos',
+  scores: '/puntos',
+  cabins: '/cabanas',
+  whatsapp: '/avisos',
+  checkIn: '/registro',
+  staff: '/staff',
+  admin: '/admin'
+};
+
+// Base de la app (por ejemplo /AGIOS2.8/ si se publica en una subcarpeta), sin la barra final
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+/**
+ * Parte de la dirección de un equipo: "Rojo" → "rojo", "Verde Claro" → "verde-claro"
+ */
+export const teamSlug = (teamName) =>
+  normalizeText(teamName).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Dirección de una página
+ *
+ * @param {string} page - clave de PAGES
+ * @param {string} [teamName] - equipo, solo para la página "team"
+ */
+export const routePath = (page, teamName) =>
+  page === 'team' ? `/equipo/${teamSlug(teamName)}` : (STATIC_PATHS[page] || '/');
+
+/**
+ * Página que corresponde a una dirección
+ *
+ * @returns {{ page: string, team?: string }} page es "notFound" si la dirección no existe;
+ *   team es el slug del equipo (ver teamSlug)
+ */
+export const parseRoute = (pathname) => {
+  const path = (pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname)
+    .replace(/\/+$/, '') || '/';
+
+  const teamMatch = path.match(/^\/equipo\/([^/]+)$/);
+  if (teamMatch) {
+    try {
+      // Se compara como slug: /equipo/Rojo y /equipo/rojo son la misma página
+      return { page: 'team', team: teamSlug(decodeURIComponent(teamMatch[1])) };
+    } catch {
+      // Dirección mal codificada (por ejemplo /equipo/%E0)
+      return { page: 'notFound' };
+    }
+  }
+
+  const page = Object.keys(STATIC_PATHS).find(p => STATIC_PATHS[p] === path);
+  return { page: page || 'notFound' };
+};
+
+/**
+ * Ruta actual y función para navegar sin recargar la página
+ *
+ * @returns {{ route: { page, team? }, navigate: Function }}
+ */
+export const useRoute = () => {
+  const [pathname, setPathname] = useState(window.location.pathname);
+
+  useEffect(() => {
+    const handlePopState = () => setPathname(window.location.pathname);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((path) => {
+    const target = `${BASE}${path}`;
+    if (target !== window.location.pathname) {
+      window.history.pushState(null, '', target);
+      setPathname(target);
+    }
+    window.scrollTo(0, 0);
+  }, []);
+
+  return { route: parseRoute(pathname), navigate };
+};
+
+/**
+ * Props de un enlace interno: funciona como enlace normal (abrir en otra pestaña, copiar
+ * dirección) y navega sin recargar con un clic simple
+ */
+export const linkProps = (path, navigate) => ({
+  href: `${BASE}${path}`,
+  onClick: (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(path);
+  }
+});
@@ -0,0 +1,87 @@
+// Marcador de la competencia entre equipos: cada registro da (o descuenta) puntos a un equipo
+// en una actividad. Se guardan como mapa { id: registro } para que los puntos cargados en dos
+// dispositivos a la vez se mezclen en vez de pisarse. Deshacer marca el registro, no lo borra
+
+// Cada cuánto la pantalla del marcador vuelve a leer los puntos guardados
+export const SCORE_REFRESH_MS = 15000;
+
+/**
+ * Crea un registro de puntos
+ *
+ * @param {string} activity - nombre de la actividad o juego
+ * @param {string} team - equipo
+ * @param {number} points - positivos para sumar, negativos para descontar
+ */
+export const createScoreEntry = (activity, team, points) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  at: new Date().toISOString(),
+  activity: activity.trim(),
+  team,
+  points
+});
+
+/**
+ * Valida los registros guardados
+ */
+export const normalizeScores = (scores) =>
+  Object.entries(scores || {}).reduce((acc, [id, entry]) => {
+    if (!entry?.team || !Number.isFinite(Number(entry.points))) return acc;
+    acc[id] = { ...entry, id, points: Number(entry.points) };
+    return acc;
+  }, {});
+
+/**
+ * Agrega registros al marcador
+ */
+export const addScores = (scores, entries) => ({
+  ...scores,
+  ...Object.fromEntries(entries.map(entry => [entry.id, entry]))
+});
+
+/**
+ * Anula un registro cargado por error (queda en el historial como deshecho)
+ */
+export const undoScore = (scores, id) => ({
+  ...scores,
+  [id]: { ...scores[id], undoneAt: new Date().toISOString() }
+});
+
+/**
+ * Historial del más reciente al más antiguo
+ */
+export const getScoreHistory = (scores) =>
+  Object.values(scores).sort((a, b) => b.at.localeCompare(a.at));
+
+/**
+ * Actividades ya usadas, para sugerirlas al cargar puntos
+ */
+export const getActivities = (scores) =>
+  [...new Set(getScoreHistory(scores).map(entry => entry.activity).filter(Boolean))];
+
+/**
+ * Tabla de posiciones: puntos por equipo sin contar los registros deshechos; los empates
+ * comparten el puesto
+ *
+ * @returns {Array<{ team, points, rank }>} de mayor a menor puntaje
+ */
+export const computeStandings = (scores, teamNames) => {
+  const totals = Object.fromEntries(teamNames.map(team => [team, 0]));
+  Object.values(scores).forEach(entry => {
+    if (!entry.undoneAt && entry.team in totals) totals[entry.team] += entry.points;
+  });
+
+  const sorted = teamNames
+    .map(team => ({ team, points: totals[team] }))
+    .sort((a, b) => b.points - a.points);
+  return sorted.map(row => ({ ...row, rank: sorted.findIndex(r => r.points === row.points) + 1 }));
+};
+
+/**
+ * Los registros siguen a los equipos renombrados
+ */
+export const renameScoreTeams = (scores, renames) => {
+  if (!renames || Object.keys(renames).length === 0) return scores;
+  return Object.fromEntries(
+    Object.entries(scores).map(([id, entry]) => [id, { ...entry, team: renames[entry.team] || entry.team }])
+  );
+};
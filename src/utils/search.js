@@ -0,0 +1,76 @@
+import { similarity } from './text';
+import { normalizeName, normalizePhone } from './identity';
+
+// Búsqueda de participantes por nombre o celular: compara palabra por palabra, sin acentos,
+// tolera errores de tipeo y devuelve todas las coincidencias ordenadas de mejor a peor
+
+// Parecido mínimo entre una palabra buscada y una del nombre para aceptar un error de tipeo
+export const TYPO_SIMILARITY = 0.75;
+
+// Dígitos mínimos para buscar por celular
+const MIN_PHONE_DIGITS = 4;
+
+/**
+ * Qué tan bien coincide una palabra buscada con una palabra del nombre (0 = nada)
+ */
+const scoreToken = (query, token) => {
+  if (token === query) return 1;
+  if (token.startsWith(query)) return 0.9;
+  if (query.length >= 3 && token.includes(query)) return 0.7;
+  if (query.length < 4) return 0;
+
+  // Error de tipeo (letras vecinas intercambiadas cuentan como uno): contra la palabra entera
+  // o contra su comienzo (mientras se escribe)
+  const typo = Math.max(
+    similarity(query, token, { transpositions: true }),
+    similarity(query, token.slice(0, query.length), { transpositions: true })
+  );
+  return typo >= TYPO_SIMILARITY ? 0.6 * typo : 0;
+};
+
+/**
+ * Puntaje del nombre: todas las palabras buscadas deben aparecer en el nombre, en cualquier
+ * orden; vale el promedio de la mejor coincidencia de cada una
+ */
+export const scoreName = (query, name) => {
+  const queryTokens = normalizeName(query).split(' ').filter(Boolean);
+  const nameTokens = normalizeName(name).split(' ').filter(Boolean);
+  if (queryTokens.length === 0 || nameTokens.length === 0) return 0;
+
+  let total = 0;
+  for (const q of queryTokens) {
+    const best = Math.max(...nameTokens.map(t => scoreToken(q, t)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / queryTokens.length;
+};
+
+/**
+ * Puntaje del celular, sin espacios, guiones ni prefijo +591 (0 si no coincide)
+ */
+export const scorePhone = (query, phone) => {
+  if (/[a-z]/i.test(query)) return 0;
+  const digits = query.replace(/\D/g, '').replace(/^(00)?591(?=\d{7,8}$)/, '');
+  if (digits.length < MIN_PHONE_DIGITS) return 0;
+
+  const local = normalizePhone(phone);
+  if (!local) return 0;
+  if (local === digits) return 1;
+  return local.includes(digits) ? 0.8 : 0;
+};
+
+/**
+ * Todas las personas que coinciden con la búsqueda, de mejor a peor coincidencia
+ *
+ * @param {Array<{ name, phone }>} people
+ * @param {string} query - nombre (o parte) o celular
+ * @returns {Array} las mismas personas con su puntaje ({ ...person, score })
+ */
+export const searchPeople = (people, query) => {
+  if (!query.trim()) return [];
+  return people
+    .map(person => ({ ...person, score: Math.max(scoreName(query, person.name), scorePhone(query, person.phone)) }))
+    .filter(person => person.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name, 'es'));
+};
@@ -0,0 +1,83 @@
+// Sesiones de asistencia (llegada, cada día, comidas, talleres, bus de regreso...).
+// La asistencia se guarda por sesión: { idSesion: { clave: true/false } }
+
+export const SELECTED_SESSION_KEY = 'attendance_session_v1';
+
+// Sesión que recibe la asistencia registrada antes de que existieran las sesiones
+export const DEFAULT_SESSION = { id: 'general', name: 'Asistencia general' };
+
+/**
+ * Valida la lista de sesiones; siempre hay al menos una
+ */
+export const normalizeSessions = (sessions) => {
+  const valid = Array.isArray(sessions)
+    ? sessions.filter(s => s && s.id && typeof s.name === 'string' && s.name.trim())
+    : [];
+  return valid.length > 0 ? valid.map(s => ({ id: String(s.id), name: s.name.trim() })) : [{ ...DEFAULT_SESSION }];
+};
+
+/**
+ * Crea una sesión nueva
+ */
+export const createSession = (name) => ({
+  id: `ses-${Date.now().toString(36)}`,
+  name: name.trim()
+});
+
+/**
+ * Convierte la asistencia antigua ({ clave: true }) al formato por sesión
+ */
+export const normalizeAttendance = (attendance) => {
+  if (!attendance || typeof attendance !== 'object') return {};
+  const values = Object.values(attendance);
+  const isLegacy = values.length > 0 && values.every(v => typeof v === 'boolean');
+  return isLegacy ? { [DEFAULT_SESSION.id]: attendance } : attendance;
+};
+
+/**
+ * Indica si la persona está presente en la sesión
+ */
+export const isPresent = (attendance, sessionId, key) => !!attendance[sessionId]?.[key];
+
+/**
+ * Asistencia con la marca de una persona en una sesión cambiada
+ */
+export const setPresence = (attendance, sessionId, key, value) => ({
+  ...attendance,
+  [sessionId]: { ...(attendance[sessionId] || {}), [key]: value }
+});
+
+/**
+ * Todas las claves con alguna marca de asistencia, en cualquier sesión
+ */
+export const getAttendanceKeys = (attendance) =>
+  [...new Set(Object.values(attendance).flatMap(session => Object.keys(session || {})))];
+
+/**
+ * { clave: true } de quienes estuvieron presentes en al menos una sesión
+ */
+export const getPresentAnywhere = (attendance) =>
+  Object.values(attendance).reduce((acc, session) => {
+    Object.entries(session || {}).forEach(([key, value]) => {
+      if (value) acc[key] = true;
+    });
+    return acc;
+  }, {});
+
+/**
+ * Aplica una función a la asistencia de cada sesión (por ejemplo, para cambiar claves)
+ */
+export const mapAttendanceSessions = (attendance, fn) =>
+  Object.entries(attendance).reduce((acc, [sessionId, session]) => {
+    acc[sessionId] = fn(session || {});
+    return acc;
+  }, {});
+
+/**
+ * Sesión elegida en este dispositivo
+ */
+export const loadSelectedSession = () => localStorage.getItem(SELECTED_SESSION_KEY) || DEFAULT_SESSION.id;
+
+export const saveSelectedSession = (sessionId) => {
+  localStorage.setItem(SELECTED_SESSION_KEY, sessionId);
+};
@@ -0,0 +1,125 @@
+import * as XLSX from 'xlsx';
+import { getField } from './columnMapping';
+import { normalizeText } from './text';
+
+// Pedido de poleras: cuántas de cada talla por color de equipo (y para el staff), con la
+// lista de participantes cuya talla falta o no se reconoce
+
+// Tallas en el orden del pedido: de niño (números) y de adulto
+export const SHIRT_SIZES = ['2', '4', '6', '8', '10', '12', '14', '16', 'XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'];
+
+// Formas de escribir una talla en el formulario
+const SIZE_ALIASES = {
+  'extra small': 'XS',
+  'extra pequena': 'XS',
+  'pequena': 'S',
+  'pequeno': 'S',
+  'small': 'S',
+  'chica': 'S',
+  'mediana': 'M',
+  'mediano': 'M',
+  'medium': 'M',
+  'grande': 'L',
+  'large': 'L',
+  'extra grande': 'XL',
+  'extra large': 'XL',
+  '2xl': 'XXL',
+  '3xl': 'XXXL'
+};
+
+/**
+ * Talla reconocida a partir del valor del formulario ("Talla m", "M (mediana)", "2XL",
+ * "12") o null si falta o no se reconoce
+ */
+export const parseShirtSize = (value) => {
+  const text = normalizeText(value)
+    .replace(/^talla\s*/, '')
+    .replace(/\(.*\)/g, '')
+    .replace(/[.-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+
+  const upper = text.toUpperCase().replace(/\s/g, '');
+  if (SHIRT_SIZES.includes(upper)) return upper;
+  return SIZE_ALIASES[text] || SIZE_ALIASES[upper.toLowerCase()] || null;
+};
+
+/**
+ * Matriz de tallas por grupo (equipos y staff)
+ *
+ * @param {Array<{ name, members }>} groups - grupos en el orden del reporte
+ * @param {Object} mapping - mapeo de columnas
+ * @param {Function} getKey - participante → clave
+ * @returns {{ sizes, rows, totals, total, issues }} sizes solo incluye las tallas pedidas;
+ *   issues son los participantes sin talla válida ({ key, name, group, value })
+ */
+export const buildShirtReport = (groups, mapping, getKey) => {
+  const totals = {};
+  const issues = [];
+
+  const rows = groups.map(({ name, members }) => {
+    const counts = {};
+    members.forEach(member => {
+      const value = getField(member, mapping, 'size').trim();
+      const size = parseShirtSize(value);
+      if (!size) {
+        issues.push({ key: getKey(member), name: getField(member, mapping, 'name') || '—', group: name, value });
+        return;
+      }
+      counts[size] = (counts[size] || 0) + 1;
+      totals[size] = (totals[size] || 0) + 1;
+    });
+    return { group: name, counts, total: Object.values(counts).reduce((a, b) => a + b, 0) };
+  });
+
+  return {
+    sizes: SHIRT_SIZES.filter(size => totals[size]),
+    rows,
+    totals,
+    total: Object.values(totals).reduce((a, b) => a + b, 0),
+    issues
+  };
+};
+
+/**
+ * Filas (arreglo de arreglos) de la matriz para la hoja de cálculo
+ */
+const reportSheetRows = (report) => [
+  ['COLOR', ...report.sizes, 'TOTAL'],
+  ...report.rows.map(row => [row.group, ...report.sizes.map(size => row.counts[size] || 0), row.total]),
+  ['TOTAL', ...report.sizes.map(size => report.totals[size]), report.total]
+];
+
+/**
+ * Descarga el reporte para el proveedor: Excel con la matriz y las tallas por revisar, o
+ * CSV solo con la matriz
+ *
+ * @param {Object} report - creado con buildShirtReport
+ * @param {'xlsx'|'csv'} format
+ */
+export const downloadShirtReport = (report, format) => {
+  const sheet = XLSX.utils.aoa_to_sheet(reportSheetRows(report));
+
+  if (format === 'csv') {
+    const blob = new Blob([XLSX.utils.sheet_to_csv(sheet)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pedido_poleras.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, sheet, 'Poleras');
+  if (report.issues.length > 0) {
+    const issues = [
+      ['NOMBRE', 'EQUIPO', 'TALLA REGISTRADA'],
+      ...report.issues.map(i => [i.name, i.group, i.value || '(vacía)'])
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(issues), 'Tallas por revisar');
+  }
+  XLSX.writeFile(wb, 'pedido_poleras.xlsx');
+};
@@ -0,0 +1,76 @@
+// Staff del campamento: quienes llegan por el formulario (forma de pago "staff") y quienes se
+// agregan a mano, con su rol y, si corresponde, el equipo de color al que apoyan
+
+export const STAFF_ROLES = {
+  cook: 'Cocina',
+  medical: 'Salud',
+  logistics: 'Logística',
+  leader: 'Líder de equipo'
+};
+
+/**
+ * Persona de staff agregada a mano (no llenó el formulario)
+ */
+export const createManualStaff = ({ name, phone = '', church = '' }) => ({
+  key: `staff-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+  phone: phone.trim(),
+  church: church.trim()
+});
+
+/**
+ * Staff agregado a mano con el formato esperado (descarta entradas inválidas). Se guarda
+ * como { clave: persona } y no como lista, para que dos dispositivos que agregan a la vez
+ * no se pisen (igual que los puntos del marcador)
+ */
+export const normalizeManualStaff = (map) =>
+  Object.fromEntries(
+    Object.values(map && typeof map === 'object' ? map : {})
+      .filter(s => s && typeof s.key === 'string' && typeof s.name === 'string' && s.name.trim())
+      .map(s => [s.key, { key: s.key, name: s.name.trim(), phone: s.phone || '', church: s.church || '' }])
+  );
+
+/**
+ * Rol y equipo de apoyo de una persona (vacíos si no se asignaron)
+ */
+export const getStaffDuty = (duties, key) => ({ role: '', team: '', ...duties[key] });
+
+/**
+ * Cambia el rol o el equipo de apoyo; sin ninguno de los dos la entrada se elimina
+ */
+export const setStaffDuty = (duties, key, changes) => {
+  const next = { ...duties };
+  const duty = { ...getStaffDuty(duties, key), ...changes };
+  if (!duty.role && !duty.team) delete next[key];
+  else next[key] = duty;
+  return next;
+};
+
+/**
+ * Los equipos de apoyo siguen a los equipos renombrados; los de equipos eliminados se quitan
+ *
+ * @param {Object} renames - nombre anterior → nombre nuevo
+ * @param {Array<string>} teamNames - equipos vigentes
+ */
+export const renameStaffTeams = (duties, renames, teamNames) =>
+  Object.fromEntries(
+    Object.entries(duties)
+      .map(([key, duty]) => {
+        const team = renames[duty.team] || duty.team;
+        return [key, { ...duty, team: teamNames.includes(team) ? team : '' }];
+      })
+      .filter(([, duty]) => duty.role || duty.team)
+  );
+
+/**
+ * Staff de apoyo de cada equipo
+ *
+ * @param {Array<{ key, name }>} people - staff
+ * @returns {Object} equipo → personas con su rol
+ */
+export const getTeamHelpers = (people, duties) =>
+  people.reduce((acc, person) => {
+    const { team, role } = getStaffDuty(duties, person.key);
+    if (team) (acc[team] ||= []).push({ ...person, role });
+    return acc;
+  }, {});
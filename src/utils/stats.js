@@ -0,0 +1,104 @@
+import { getField } from './columnMapping';
+import { normalizeText } from './text';
+import { getGenderCategory, parseAge, getAgeBand } from './balancing';
+import { isPresent } from './sessions';
+
+// Estadísticas del campamento y de cada equipo: género, edades, iglesias y asistencia por
+// sesión. Se calculan en cada render a partir del estado, así que se actualizan solas al
+// marcar asistencia; mientras el panel está abierto se vuelven a leer los datos guardados
+// para sumar lo marcado en otros dispositivos
+
+// Cada cuánto el panel vuelve a leer los datos guardados
+export const STATS_REFRESH_MS = 15000;
+
+const GENDER_ORDER = ['Hombres', 'Mujeres', 'Otros'];
+
+/**
+ * Porcentaje entero (0 si no hay total)
+ */
+export const percent = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+/**
+ * Nombres de los rangos de edad en orden, terminando en "Sin edad"
+ */
+export const getAgeBandLabels = (bands) => [
+  ...bands.map(limit => getAgeBand(limit, bands)),
+  getAgeBand((bands[bands.length - 1] ?? 0) + 1, bands),
+  getAgeBand(null, bands)
+];
+
+/**
+ * Cuenta por categoría y devuelve filas [{ label, count }] en el orden indicado (o de
+ * mayor a menor); las categorías sin nadie no aparecen
+ */
+const countRows = (items, getLabel, order) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const label = getLabel(item);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+
+  const rows = [...counts].map(([label, count]) => ({ label, count }));
+  return order
+    ? rows.sort((a, b) => order.indexOf(a.label) - order.indexOf(b.label))
+    : rows.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'es'));
+};
+
+/**
+ * Estadísticas de un grupo de participantes (un equipo, el staff o todo el campamento)
+ *
+ * @param {Array} members - participantes del grupo
+ * @param {Object} options.mapping - mapeo de columnas
+ * @param {Object} options.balanceConfig - para los rangos de edad
+ * @param {Function} options.getKey - participante → clave
+ * @param {Object} options.attendance - { sesión: { clave: true } }
+ * @param {Array} options.sessions - sesiones de asistencia
+ */
+export const buildGroupStats = (members, { mapping, balanceConfig, getKey, attendance, sessions }) => {
+  const ages = members
+    .map(p => parseAge(getField(p, mapping, 'age')))
+    .filter(age => age !== null);
+
+  // Iglesias agrupadas sin distinguir mayúsculas ni acentos, con el primer nombre escrito
+  const churchNames = new Map();
+  const getChurch = (p) => {
+    const name = getField(p, mapping, 'church').trim();
+    const id = normalizeText(name);
+    if (!id) return 'Sin iglesia';
+    if (!churchNames.has(id)) churchNames.set(id, name);
+    return churchNames.get(id);
+  };
+
+  return {
+    total: members.length,
+    averageAge: ages.length > 0 ? Math.round((ages.reduce((a, b) => a + b, 0) / ages.length) * 10) / 10 : null,
+    gender: countRows(members, p => getGenderCategory(p, mapping), GENDER_ORDER),
+    age: countRows(
+      members,
+      p => getAgeBand(parseAge(getField(p, mapping, 'age')), balanceConfig.ageBands),
+      getAgeBandLabels(balanceConfig.ageBands)
+    ),
+    church: countRows(members, getChurch),
+    attendance: sessions.map(session => {
+      const present = members.filter(p => isPresent(attendance, session.id, getKey(p))).length;
+      return { id: session.id, name: session.name, present, rate: percent(present, members.length) };
+    })
+  };
+};
+
+/**
+ * Estadísticas de todo el campamento (staff incluido), de cada equipo y del staff
+ *
+ * @param {Object} options.teams - { equipo: participantes }
+ * @param {Array} options.teamNames - equipos en orden
+ * @param {Array} options.staff - participantes que son staff
+ * @param {Array} options.participants - todos los participantes
+ */
+export const buildCampStats = ({ teams, teamNames, staff, participants, ...options }) => ({
+  camp: buildGroupStats(participants, options),
+  staff: buildGroupStats(staff, options),
+  teams: teamNames.reduce((acc, team) => {
+    acc[team] = buildGroupStats(teams?.[team] || [], options);
+    return acc;
+  }, {})
+});
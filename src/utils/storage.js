@@ -0,0 +1,423 @@
+import { loadAdminToken } from './adminAuth';
+
+// Almacenamiento de los datos del campamento con backends intercambiables (servidor del
+// campamento, este dispositivo o archivo JSON) y guardado con control de versión.
+// Las credenciales de GitHub quedan en el servidor (server/), nunca en la app
+
+export const STORAGE_CONFIG_KEY = 'storage_config_v1';
+
+// Copia de los datos en este dispositivo (backends "local" y "archivo")
+const LOCAL_DATA_KEY = 'camp_data_v1';
+
+// Última versión leída o guardada con éxito, para abrir la app sin conexión
+const CACHE_KEY = 'camp_data_cache_v1';
+
+// Nombre del JSON descargable (el mismo que usa el servidor en el Gist)
+export const CAMP_DATA_FILE = 'team-assignments.json';
+
+// API del servidor del campamento (misma dirección que la app)
+export const DEFAULT_API_URL = '/api/camp-data';
+
+// Reintentos cuando otro dispositivo guardó al mismo tiempo
+const MAX_SAVE_ATTEMPTS = 3;
+
+export const STORAGE_BACKENDS = {
+  rest: 'Servidor del campamento (API)',
+  local: 'Solo este dispositivo',
+  file: 'Archivo JSON (descargar e importar)'
+};
+
+// Campos que se guardan o se reemplazan enteros: mezclar dos versiones no tendría sentido
+const ATOMIC_FIELDS = ['teamConfig', 'columnMapping', 'balanceConfig', 'draw'];
+
+export const DEFAULT_STORAGE_CONFIG = {
+  backend: 'rest',
+  restUrl: DEFAULT_API_URL,
+  fileUrl: `${import.meta.env.BASE_URL}${CAMP_DATA_FILE}`
+};
+
+/**
+ * Valida la configuración de almacenamiento
+ */
+export const normalizeStorageConfig = (config) => ({
+  backend: STORAGE_BACKENDS[config?.backend] ? config.backend : DEFAULT_STORAGE_CONFIG.backend,
+  restUrl: typeof config?.restUrl === 'string' && config.restUrl.trim()
+    ? config.restUrl.trim()
+    : DEFAULT_STORAGE_CONFIG.restUrl,
+  fileUrl: typeof config?.fileUrl === 'string' && config.fileUrl.trim()
+    ? config.fileUrl.trim()
+    : DEFAULT_STORAGE_CONFIG.fileUrl
+});
+
+/**
+ * Lee la configuración de almacenamiento de este dispositivo
+ */
+export const loadLocalStorageConfig = () => {
+  try {
+    return normalizeStorageConfig(JSON.parse(localStorage.getItem(STORAGE_CONFIG_KEY) || 'null'));
+  } catch {
+    return { ...DEFAULT_STORAGE_CONFIG };
+  }
+};
+
+/**
+ * Guarda la configuración de almacenamiento en este dispositivo
+ */
+export const saveLocalStorageConfig = (config) => {
+  localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(config));
+};
+
+// Error de guardado porque la versión cambió mientras tanto
+const conflictError = () => Object.assign(new Error('Otro dispositivo guardó cambios'), { conflict: true });
+
+// Error de guardado porque el servidor no aceptó la clave de administrador
+const unauthorizedError = () =>
+  Object.assign(new Error('El servidor no aceptó la clave de administrador'), { unauthorized: true });
+
+// Error de guardado porque el servidor no tiene clave configurada y solo permite leer
+const readOnlyError = () =>
+  Object.assign(new Error('El servidor no tiene clave de administrador configurada'), { unauthorized: true, readOnly: true });
+
+// Separa la versión del resto de los datos
+const splitVersion = (parsed) => {
+  if (!parsed) return { data: null, version: 0 };
+  const { version = 0, ...data } = parsed;
+  return { data, version };
+};
+
+const readLocalData = () => {
+  try {
+    return splitVersion(JSON.parse(localStorage.getItem(LOCAL_DATA_KEY) || 'null'));
+  } catch {
+    return { data: null, version: 0 };
+  }
+};
+
+const writeLocalData = (data, version) => {
+  localStorage.setItem(LOCAL_DATA_KEY, JSON.stringify({ ...data, version }));
+  return { version };
+};
+
+/**
+ * Backend solo local: los datos quedan en este navegador
+ */
+const createLocalBackend = () => ({
+  id: 'local',
+  source: 'local',
+  ready: true,
+  warning: 'Los datos solo se guardan en este dispositivo',
+  load: async () => readLocalData(),
+  save: async (data, baseVersion) => writeLocalData(data, baseVersion + 1)
+});
+
+/**
+ * Backend de archivo JSON: parte del archivo publicado junto a la app (si existe) y guarda
+ * los cambios en este dispositivo; el archivo actualizado se descarga a mano
+ */
+const createFileBackend = ({ fileUrl }) => ({
+  id: 'file',
+  source: `file:${fileUrl}`,
+  ready: true,
+  warning: 'Los cambios quedan en este dispositivo hasta descargar el archivo JSON',
+
+  load: async () => {
+    const local = readLocalData();
+    if (local.data) return local;
+
+    try {
+      const response = await fetch(fileUrl, { cache: 'no-store' });
+      if (!response.ok) return local;
+      return splitVersion(await response.json());
+    } catch {
+      return local;
+    }
+  },
+
+  save: async (data, baseVersion) => writeLocalData(data, baseVersion + 1)
+});
+
+/**
+ * Backend REST: el servidor del campamento (server/index.js) u otro con la misma API.
+ * GET {url} → { version, data }
+ * PUT {url} con { baseVersion, data } → { version }, o 409 con { version, data } si la
+ * versión guardada ya no es baseVersion. Guardar envía la clave de administrador
+ * (Authorization: Bearer); sin ella el servidor responde 401
+ */
+const createRestBackend = ({ restUrl }) => ({
+  id: 'rest',
+  source: `rest:${restUrl}`,
+  ready: !!restUrl,
+  warning: 'Falta la dirección del servidor: las asignaciones no se guardarán',
+
+  load: async () => {
+    if (!restUrl) return { data: null, version: 0 };
+
+    const response = await fetch(restUrl, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) throw new Error('No se pudo cargar del servidor');
+    const body = await response.json();
+    return { data: body.data || null, version: body.version || 0 };
+  },
+
+  save: async (data, baseVersion) => {
+    if (!restUrl) return { version: baseVersion };
+
+    const token = loadAdminToken();
+    const response = await fetch(restUrl, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ baseVersion, data })
+    });
+    if (response.status === 401) throw unauthorizedError();
+    if (response.status === 503) throw readOnlyError();
+    if (response.status === 409) throw conflictError();
+    if (!response.ok) throw new Error('No se pudo guardar en el servidor');
+    const body = await response.json();
+    return { version: body.version };
+  }
+});
+
+/**
+ * Crea el backend indicado en la configuración
+ */
+export const createBackend = (config) => {
+  switch (config.backend) {
+    case 'local':
+      return createLocalBackend();
+    case 'file':
+      return createFileBackend(config);
+    default:
+      return createRestBackend(config);
+  }
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Identidad de un elemento de lista: su id (o clave) si tiene; si no, el elemento mismo
+const itemId = (item) => {
+  if (isPlainObject(item) && (typeof item.id === 'string' || typeof item.key === 'string')) {
+    return `id:${item.id ?? item.key}`;
+  }
+  return JSON.stringify(item);
+};
+
+const byItemId = (list) => new Map((Array.isArray(list) ? list : []).map(item => [itemId(item), item]));
+
+/**
+ * Mezcla de tres vías de listas, elemento por elemento según su identidad: se suman los
+ * agregados en cada lado (por ejemplo, sesiones creadas en dos teléfonos) y se quitan los
+ * eliminados. Se respeta el orden local y lo agregado en el otro lado queda donde estaba allá
+ */
+const mergeList = (base, local, remote) => {
+  const baseItems = byItemId(base);
+  const localItems = byItemId(local);
+  const remoteItems = byItemId(remote);
+  const remoteIds = [...remoteItems.keys()];
+
+  const ids = [];
+  let next = 0;
+  const takeRemoteUntil = (end) => {
+    for (; next < end; next++) {
+      if (!localItems.has(remoteIds[next])) ids.push(remoteIds[next]);
+    }
+  };
+  localItems.forEach((item, id) => {
+    const position = remoteIds.indexOf(id);
+    if (position >= next) {
+      takeRemoteUntil(position);
+      next = position + 1;
+    }
+    ids.push(id);
+  });
+  takeRemoteUntil(remoteIds.length);
+
+  return ids.reduce((acc, id) => {
+    const value = mergeValue(baseItems.get(id), localItems.get(id), remoteItems.get(id));
+    if (value !== undefined) acc.push(value);
+    return acc;
+  }, []);
+};
+
+/**
+ * Mezcla de tres vías: se queda con el lado que cambió respecto a la base; si cambiaron los
+ * dos y son objetos, mezcla clave por clave (por ejemplo, asistencia marcada en dos teléfonos),
+ * y si son listas, elemento por elemento; si no, gana el cambio local
+ */
+const mergeValue = (base, local, remote) => {
+  if (sameValue(local, base)) return remote;
+  if (sameValue(remote, base)) return local;
+  if (Array.isArray(local) && Array.isArray(remote)) return mergeList(base, local, remote);
+  if (!isPlainObject(local) || !isPlainObject(remote)) return local;
+
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base || {})]);
+  return [...keys].reduce((acc, key) => {
+    const value = mergeValue(base?.[key], local[key], remote[key]);
+    if (value !== undefined) acc[key] = value;
+    return acc;
+  }, {});
+};
+
+/**
+ * Mezcla los cambios locales con los que otro dispositivo guardó desde la última lectura
+ *
+ * @param {Object} base - datos al momento de la última lectura o guardado
+ * @param {Object} local - datos de este dispositivo
+ * @param {Object} remote - datos guardados ahora
+ */
+export const mergeCampData = (base, local, remote) => {
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  return [...fields].reduce((acc, field) => {
+    acc[field] = ATOMIC_FIELDS.includes(field)
+      ? (sameValue(local[field], base?.[field]) ? remote[field] : local[field])
+      : mergeValue(base?.[field], local[field], remote[field]);
+    return acc;
+  }, {});
+};
+
+/**
+ * Copia guardada de un backend ({ version, data, savedAt }), o null si no hay
+ */
+const readCache = (source) => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY) || 'null');
+    return cached?.source === source && cached.data ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeCache = (source, data, version) => {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ source, version, data, savedAt: new Date().toISOString() }));
+  } catch (err) {
+    // Sin espacio en el navegador: la app sigue, solo que sin copia para abrir sin conexión
+    console.warn('No se pudo guardar la copia local:', err.message);
+  }
+};
+
+/**
+ * Almacén con control de versión sobre un backend: recuerda la última versión leída y, si al
+ * guardar otro dispositivo ya guardó, mezcla ambos cambios en vez de sobrescribirlos.
+ * Si no se puede leer, parte de la copia de la última lectura en este dispositivo; sin copia,
+ * no guarda (no hay una base real contra la cual mezclar)
+ *
+ * @param {Object} backend - creado con createBackend
+ * @param {Object} defaults - valores por defecto de cada campo
+ */
+export const createCampStore = (backend, defaults) => {
+  let base = { ...defaults };
+  let version = 0;
+  let loaded = false;
+  let queue = Promise.resolve();
+
+  const withDefaults = (data) => Object.keys(defaults).reduce((acc, field) => {
+    acc[field] = data?.[field] || defaults[field];
+    return acc;
+  }, {});
+
+  const remember = (data, savedVersion) => {
+    base = data;
+    version = savedVersion;
+    loaded = true;
+    writeCache(backend.source, data, savedVersion);
+  };
+
+  const save = async (local) => {
+    if (!loaded) throw new Error('Los datos guardados todavía no se pudieron leer');
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const remote = await backend.load();
+      const changedElsewhere = remote.version !== version;
+      const data = changedElsewhere ? mergeCampData(base, local, withDefaults(remote.data)) : local;
+
+      try {
+        const saved = await backend.save(data, remote.version);
+        remember(data, saved.version);
+        return { data, merged: changedElsewhere };
+      } catch (err) {
+        if (!err.conflict || attempt === MAX_SAVE_ATTEMPTS) throw err;
+      }
+    }
+  };
+
+  return {
+    backend,
+
+    /**
+     * Lee los datos guardados (con valores por defecto en los campos que falten). Sin conexión
+     * devuelve la copia de la última lectura; si tampoco hay copia, falla
+     *
+     * @returns {Promise<{ data, cachedAt }>} cachedAt es la fecha de la copia, o null si se
+     *   leyó del backend
+     */
+    load: async () => {
+      try {
+        const remote = await backend.load();
+        remember(withDefaults(remote.data), remote.version);
+        return { data: base, cachedAt: null };
+      } catch (err) {
+        const cached = readCache(backend.source);
+        if (!cached) throw err;
+        base = withDefaults(cached.data);
+        version = cached.version;
+        loaded = true;
+        return { data: base, cachedAt: cached.savedAt };
+      }
+    },
+
+    /**
+     * Trae lo que guardaron otros dispositivos y lo mezcla con los cambios de aquí, sin guardar.
+     * Va en la misma fila que los guardados para no leer una versión a medio guardar
+     *
+     * @returns {Promise<{ data, changed }>} datos mezclados y si llegó algo nuevo
+     */
+    refresh: (local) => {
+      const result = queue.then(async () => {
+        if (!loaded) throw new Error('Los datos guardados todavía no se pudieron leer');
+        const remote = await backend.load();
+        if (remote.version === version) return { data: local, changed: false };
+        const data = mergeCampData(base, local, withDefaults(remote.data));
+        remember(withDefaults(remote.data), remote.version);
+        return { data, changed: true };
+      });
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    /**
+     * Guarda los datos; los guardados se hacen de a uno para no pisar la versión
+     *
+     * @returns {Promise<{ data, merged }>} datos finales y si hubo que mezclar
+     */
+    save: (local) => {
+      const result = queue.then(() => save(local));
+      queue = result.catch(() => {});
+      return result;
+    }
+  };
+};
+
+/**
+ * Descarga los datos como archivo JSON
+ */
+export const downloadCampData = (data) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = CAMP_DATA_FILE;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Lee un archivo JSON de datos descargado antes
+ */
+export const readCampDataFile = async (file) => {
+  const parsed = JSON.parse(await file.text());
+  return splitVersion(parsed).data;
+};
@@ -0,0 +1,61 @@
+import { DEFAULT_SESSION, setPresence } from './sessions';
+
+// Cola de cambios de asistencia pendientes de sincronizar, guardada en el dispositivo para
+// no perder marcas cuando no hay señal
+
+export const SYNC_QUEUE_KEY = 'attendance_queue_v1';
+export const LAST_SYNC_KEY = 'attendance_last_sync_v1';
+
+// Cada cuánto se reintenta mientras haya cambios pendientes
+export const SYNC_RETRY_MS = 30000;
+
+/**
+ * Lee la cola guardada en este dispositivo
+ */
+export const loadSyncQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(SYNC_QUEUE_KEY) || '[]');
+    return Array.isArray(queue)
+      ? queue
+        .filter(op => op && typeof op.key === 'string')
+        .map(op => ({ ...op, session: op.session || DEFAULT_SESSION.id }))
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Guarda la cola en este dispositivo
+ */
+export const saveSyncQueue = (queue) => {
+  localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+};
+
+/**
+ * Agrega un cambio; si la misma persona ya tenía uno pendiente en esa sesión, queda solo el último
+ */
+export const enqueueChange = (queue, session, key, value) => [
+  ...queue.filter(op => op.key !== key || op.session !== session),
+  { session, key, value, at: new Date().toISOString() }
+];
+
+/**
+ * Aplica los cambios pendientes sobre la asistencia (por ejemplo, la recién leída del almacenamiento)
+ */
+export const applySyncQueue = (attendance, queue) =>
+  queue.reduce((acc, op) => setPresence(acc, op.session, op.key, op.value), attendance);
+
+/**
+ * Cambia las claves de los cambios pendientes según los vínculos de identidad
+ */
+export const relinkSyncQueue = (queue, links) => queue.map(op => (links[op.key] ? { ...op, key: links[op.key] } : op));
+
+/**
+ * Fecha de la última sincronización correcta (null si nunca)
+ */
+export const loadLastSync = () => localStorage.getItem(LAST_SYNC_KEY);
+
+export const saveLastSync = (at) => {
+  localStorage.setItem(LAST_SYNC_KEY, at);
+};
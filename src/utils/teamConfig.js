@@ -0,0 +1,133 @@
+// Configuración de equipos (nombre, colores y coordinadores) editable desde el panel de ajustes
+
+export const TEAM_CONFIG_KEY = 'team_config_v1';
+
+// Cada equipo lleva a sus coordinadores fijos (nombres, o parte del nombre, que no se
+// reasignan en el sorteo), así siguen al equipo si se renombra
+export const DEFAULT_TEAMS = [
+  { name: 'Rojo', color: '#EF4444', bg: '#FEE2E2', coordinators: ['Filadelfia Huallpa', 'Rieles Onarry Tereba'] },
+  { name: 'Azul', color: '#3B82F6', bg: '#DBEAFE', coordinators: ['Diana Rodas Aguilar', 'Santos Bustillos'] },
+  { name: 'Verde', color: '#10B981', bg: '#D1FAE5', coordinators: ['Ana Maria Villarpando', 'Israel Condori Quispe'] },
+  { name: 'Amarillo', color: '#F59E0B', bg: '#FEF3C7', coordinators: ['Maria Magdalena Bustillos', 'Jose Luis Calle'] }
+];
+
+// Colores sugeridos al agregar equipos nuevos (sin coordinadores)
+const PALETTE = [
+  ...DEFAULT_TEAMS.map(({ name, color, bg }) => ({ name, color, bg })),
+  { name: 'Morado', color: '#8B5CF6', bg: '#EDE9FE' },
+  { name: 'Naranja', color: '#F97316', bg: '#FFEDD5' },
+  { name: 'Rosado', color: '#EC4899', bg: '#FCE7F3' },
+  { name: 'Celeste', color: '#06B6D4', bg: '#CFFAFE' },
+  { name: 'Gris', color: '#64748B', bg: '#F1F5F9' },
+  { name: 'Café', color: '#92400E', bg: '#FEF3C7' }
+];
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = PALETTE.length;
+
+/**
+ * Devuelve la sugerencia de equipo para la posición indicada
+ */
+export const suggestTeam = (index, usedNames = []) => {
+  const free = PALETTE.find(t => !usedNames.includes(t.name));
+  return { ...(free || PALETTE[index % PALETTE.length]), coordinators: [] };
+};
+
+/**
+ * Lista de coordinadores sin vacíos ni repetidos
+ */
+const normalizeCoordinators = (names) => {
+  const seen = new Set();
+  return names
+    .map(name => String(name || '').trim())
+    .filter(name => {
+      if (!name || seen.has(name.toLowerCase())) return false;
+      seen.add(name.toLowerCase());
+      return true;
+    });
+};
+
+/**
+ * Valida y limpia una configuración de equipos (por ejemplo, la leída del Gist)
+ */
+export const normalizeTeamConfig = (config) => {
+  if (!Array.isArray(config) || config.length < MIN_TEAMS) {
+    return DEFAULT_TEAMS.map(t => ({ ...t }));
+  }
+
+  const seen = new Set();
+  const teams = [];
+  config.slice(0, MAX_TEAMS).forEach((t, i) => {
+    const name = String(t?.name || '').trim();
+    if (!name || seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+    const fallback = PALETTE[i % PALETTE.length];
+    // Configuraciones guardadas antes de que existieran los coordinadores: los de siempre
+    const coordinators = Array.isArray(t.coordinators)
+      ? normalizeCoordinators(t.coordinators)
+      : DEFAULT_TEAMS.find(d => d.name === name)?.coordinators || [];
+    teams.push({
+      name,
+      color: t.color || fallback.color,
+      bg: t.bg || fallback.bg,
+      coordinators
+    });
+  });
+
+  return teams.length >= MIN_TEAMS ? teams : DEFAULT_TEAMS.map(t => ({ ...t }));
+};
+
+/**
+ * Lee la configuración guardada en este dispositivo
+ */
+export const loadLocalTeamConfig = () => {
+  try {
+    return normalizeTeamConfig(JSON.parse(localStorage.getItem(TEAM_CONFIG_KEY) || 'null'));
+  } catch {
+    return normalizeTeamConfig(null);
+  }
+};
+
+/**
+ * Guarda la configuración en este dispositivo
+ */
+export const saveLocalTeamConfig = (config) => {
+  localStorage.setItem(TEAM_CONFIG_KEY, JSON.stringify(config));
+};
+
+/**
+ * Nombres de los equipos en orden
+ */
+export const getTeamNames = (config) => config.map(t => t.name);
+
+/**
+ * Mapa nombre → { color, bg } (mismo formato que el antiguo COLORS)
+ */
+export const getTeamColors = (config) =>
+  config.reduce((acc, t) => {
+    acc[t.name] = { color: t.color, bg: t.bg };
+    return acc;
+  }, {});
+
+/**
+ * Mapa coordinador → equipo
+ */
+export const getCoordinators = (config) =>
+  config.reduce((acc, t) => {
+    (t.coordinators || []).forEach(name => {
+      acc[name] = t.name;
+    });
+    return acc;
+  }, {});
+
+/**
+ * Traduce asignaciones cuando un equipo cambia de nombre ({ nombreAnterior: nombreNuevo })
+ */
+export const renameAssignments = (assignments, renames) => {
+  if (!renames || Object.keys(renames).length === 0) return assignments;
+
+  return Object.entries(assignments).reduce((acc, [key, team]) => {
+    acc[key] = renames[team] || team;
+    return acc;
+  }, {});
+};
@@ -0,0 +1,49 @@
+/**
+ * Normaliza texto para búsqueda (elimina acentos, pasa a minúsculas, etc.)
+ */
+export const normalizeText = (text) => {
+  if (!text) return '';
+  return text
+    .toString()
+    .toLowerCase()
+    .normalize('NFD') // Descompone acentos
+    .replace(/[\u0300-\u036f]/g, '') // Elimina acentos
+    .trim();
+};
+
+/**
+ * Distancia de edición (Levenshtein) entre dos textos. Con transpositions, dos letras vecinas
+ * intercambiadas cuentan como un solo error ("mraia" → "maria"), como al tipear rápido
+ */
+export const editDistance = (a, b, { transpositions = false } = {}) => {
+  if (a === b) return 0;
+  if (!a) return b.length;
+  if (!b) return a.length;
+
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (transpositions && before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+    }
+    before = prev;
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Parecido entre dos textos normalizados, de 0 (nada) a 1 (iguales)
+ *
+ * @param {Object} [options] - ver editDistance
+ */
+export const similarity = (a, b, options) => {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b, options) / longest;
+};
@@ -0,0 +1,35 @@
+import { normalizePhone } from './identity';
+
+// Avisos por WhatsApp: un mensaje por participante a partir de una plantilla, abierto con un
+// enlace wa.me (sin API ni cuenta de empresa: el mensaje se envía desde el teléfono)
+
+export const DEFAULT_MESSAGE_TEMPLATE =
+  '¡Hola {nombre}! 👋 En el Campamento AGIOS 2.8 estás en el equipo {equipo}. Tu cabaña: {cabaña}. ¡Te esperamos!';
+
+export const MESSAGE_PLACEHOLDERS = ['{nombre}', '{equipo}', '{cabaña}'];
+
+/**
+ * Número para WhatsApp con el código de Bolivia (591 + celular de 8 dígitos que empieza en
+ * 6 o 7); null si el número falta o no es un celular boliviano
+ */
+export const toWhatsAppNumber = (value) => {
+  const phone = normalizePhone(value);
+  return /^[67]\d{7}$/.test(phone) ? `591${phone}` : null;
+};
+
+/**
+ * Reemplaza los marcadores de la plantilla ({cabana} sin tilde también vale)
+ *
+ * @param {Object} values - { nombre, equipo, cabaña }
+ */
+export const fillTemplate = (template, values) =>
+  template.replace(/\{(nombre|equipo|cabaña|cabana)\}/gi, (match, name) => {
+    const key = name.toLowerCase() === 'cabana' ? 'cabaña' : name.toLowerCase();
+    return values[key] ?? match;
+  });
+
+/**
+ * Enlace que abre WhatsApp con el mensaje escrito
+ */
+export const getWhatsAppLink = (number, message) =>
+  `https://wa.me/${number}?text=${encodeURIComponent(message)}`;
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // En desarrollo, la API la atiende el servidor del campamento (npm run server)
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
+  },
 })